@@ -0,0 +1,154 @@
+/** Converting many bundles in one go: finding the bundles, naming the
+ * output files, running the conversions a few at a time, and
+ * summarizing the results. */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var fs = require('fs');
+var glob = require('glob');
+var path = require('path');
+
+var LineBreak = require('./linebreak');
+var P = require('./p');
+
+// File name extensions for the output formats.
+var EXTENSIONS = { text: 'txt', markdown: 'md', json: 'json' };
+
+// Characters which make an argument a glob pattern.
+var GLOB = /[*?\[]/;
+
+// Return a promise for whether `dir` is a bundle directory.
+var isBundleDir = function(dir) {
+	return new Promise(function(resolve) {
+		fs.stat(path.join(dir, 'metabook.json'), function(err, stat) {
+			resolve(!err && stat.isFile());
+		});
+	});
+};
+
+// Return a promise for the bundles in the directory `dir` (which isn't a
+// bundle itself): its zip files, and its bundle directories.
+var bundlesIn = function(dir) {
+	return P.call(fs.readdir, fs, dir).then(function(files) {
+		return Promise.map(files.sort(), function(file) {
+			file = path.join(dir, file);
+			return P.call(fs.stat, fs, file).then(function(stat) {
+				if (stat.isFile()) {
+					return /\.zip$/i.test(file);
+				}
+				return stat.isDirectory() && isBundleDir(file);
+			}).then(function(isBundle) {
+				return isBundle ? [ file ] : [];
+			});
+		});
+	});
+};
+
+/** Return a promise for the list of bundles named by `args`: each is a
+ * bundle (zip file or directory), a directory of bundles, or a glob
+ * pattern (if the shell didn't expand it).  Paths which don't exist are
+ * kept, so that they are reported as failures along with the rest. */
+exports.findBundles = function(args) {
+	return Promise.map(args, function(arg) {
+		return P.call(fs.stat, fs, arg).then(function(stat) {
+			if (!stat.isDirectory()) { return [ arg ]; }
+			return isBundleDir(arg).then(function(isBundle) {
+				return isBundle ? [ arg ] : bundlesIn(arg).then(function(lists) {
+					return [].concat.apply([], lists);
+				});
+			});
+		}, function(err) {
+			if (err.code !== 'ENOENT' || !GLOB.test(arg)) { return [ arg ]; }
+			return P.call(glob, null, arg, {}).then(function(files) {
+				if (files.length === 0) {
+					throw new Error('No bundles match ' + arg);
+				}
+				return files.sort();
+			});
+		});
+	}).then(function(lists) {
+		return [].concat.apply([], lists);
+	});
+};
+
+/** Return the output file name for `bundle`, following `template`, in
+ * which `{name}` is replaced by the name of the bundle (without any
+ * `.zip`), `{format}` by the output format, and `{ext}` by the usual
+ * file name extension for the format. */
+exports.outputName = function(template, bundle, format) {
+	var fields = {
+		name: path.basename(path.resolve(bundle)).replace(/\.zip$/i, ''),
+		format: format,
+		ext: EXTENSIONS[format] || format
+	};
+	return template.replace(/\{([^{}]*)\}/g, function(m, field) {
+		if (!fields.hasOwnProperty(field)) {
+			throw new Error('Unknown field in output name: ' + m);
+		}
+		return fields[field];
+	});
+};
+
+/** Run `convert` on each of `jobs` (conversion options), with at most
+ * `concurrency` of them at once.  A failure doesn't stop the others.
+ * Returns a promise for the results, in order: the bundle, the output
+ * file, the time taken (in seconds), and the error if it failed.
+ * `done` (if given) is called with each result as it comes in.
+ * Conversions which use the same cache file share it safely (see Cache). */
+exports.run = function(jobs, concurrency, convert, done) {
+	var results = [], next = 0;
+	var worker = function() {
+		if (next >= jobs.length) { return Promise.resolve(); }
+		var job = jobs[next], start = Date.now();
+		var result = results[next++] = {
+			bundle: job.bundle,
+			output: job.output
+		};
+		return Promise.resolve(job).then(convert).catch(function(err) {
+			result.error = err;
+		}).then(function() {
+			result.time = (Date.now() - start) / 1000;
+			if (done) { done(result); }
+			return worker();
+		});
+	};
+	var workers = [];
+	for (var i = 0; i < Math.min(concurrency, jobs.length); i++) {
+		workers.push(worker());
+	}
+	return Promise.all(workers).then(function() { return results; });
+};
+
+// Pad `str` with spaces to `w` columns.
+var pad = function(str, w) {
+	return str + ' '.repeat(Math.max(0, w - LineBreak.width(str)));
+};
+
+/** Return a table summarizing `results` (as returned by `run`), ending
+ * with the totals. */
+exports.summary = function(results, time) {
+	var rows = [ [ 'Bundle', 'Result', 'Time', 'Output' ] ];
+	results.forEach(function(r) {
+		rows.push([
+			r.bundle,
+			r.error ? 'FAILED' : 'ok',
+			r.time.toFixed(1) + 's',
+			r.error ? (r.error.message || String(r.error)) : r.output
+		]);
+	});
+	var widths = rows[0].map(function(_, i) {
+		return Math.max.apply(null, rows.map(function(row) {
+			return LineBreak.width(row[i]);
+		}));
+	});
+	var failed = results.filter(function(r) { return r.error; }).length;
+	return rows.map(function(row) {
+		return row.map(function(cell, i) {
+			return (i === row.length - 1) ? cell : pad(cell, widths[i]);
+		}).join('  ');
+	}).concat([
+		(results.length - failed) + ' converted, ' + failed + ' failed, in ' +
+			time.toFixed(1) + 's'
+	]).join('\n') + '\n';
+};
@@ -0,0 +1,122 @@
+/** A cache of rendered articles, kept in an sqlite file, so that
+ * regenerating a collection only renders the articles which changed.
+ * The entries are keyed on a hash of the article (wiki, revision,
+ * title, ...), the renderer version, the options which affect the
+ * output, and the formatter state the article starts in.
+ *
+ * Conversions which run at once (see batch.run) and use the same cache
+ * file share one handle on it, and their operations on it are run one
+ * at a time, in the order they were asked for. */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var crypto = require('crypto');
+var path = require('path');
+
+var json = require('../package.json');
+var Db = require('./db');
+var P = require('./p');
+
+// Options which don't change how an article is rendered.
+var IGNORED_OPTIONS = [
+	'bundle', 'output', 'log', 'status', 'debug', 'tmpdir', 'window',
+	'workers', 'cache', 'pruneCache', 'stream'
+];
+
+// Milliseconds in a day.
+var DAY = 24 * 60 * 60 * 1000;
+
+// The open cache files, by path: the database handle, the number of
+// Cache objects using it, and a promise for the end of the last
+// operation queued on it.
+var OPEN = new Map();
+
+var Cache = module.exports = function(filename, options) {
+	this.filename = path.resolve(filename);
+	this.file = OPEN.get(this.filename);
+	if (!this.file) {
+		this.file = { db: new Db(filename), users: 0, queue: Promise.resolve() };
+		OPEN.set(this.filename, this.file);
+	}
+	this.file.users++;
+	this.db = this.file.db;
+	var relevant = {};
+	Object.keys(options).sort().forEach(function(key) {
+		if (IGNORED_OPTIONS.indexOf(key) < 0) {
+			relevant[key] = options[key];
+		}
+	});
+	this.salt = JSON.stringify([json.name, json.version, relevant]);
+};
+
+// Return a promise for the result of `f` (a method returning a promise),
+// run once the operations queued on the file before it are done.
+Cache.prototype._queue = function(f) {
+	var result = this.file.queue.then(f.bind(this));
+	this.file.queue = result.catch(function() {});
+	return result;
+};
+
+/** Return the cache key for `parts` (which must be JSON-able). */
+Cache.prototype.key = function(parts) {
+	return crypto.createHash('sha1').
+		update(this.salt).update(JSON.stringify(parts)).digest('hex');
+};
+
+/** Return a promise for the entry with the given key, or null. */
+Cache.prototype.get = function(key) {
+	return this._queue(function() {
+		return this.db.get(key).then(function(entry) {
+			if (!entry) { return null; }
+			// note when the entry was last used (at most once a day), so
+			// that pruning keeps it
+			var now = Date.now();
+			if (now - entry.used > DAY) {
+				entry.used = now;
+				return this.db.put(key, entry).then(function() { return entry; });
+			}
+			return entry;
+		}.bind(this));
+	});
+};
+
+/** Store `entry` (a JSON-able object) under the given key.  Returns a
+ * promise which is resolved once it has been written. */
+Cache.prototype.put = function(key, entry) {
+	return this._queue(function() {
+		return this.db.put(key, Object.assign({
+			version: json.version,
+			used: Date.now()
+		}, entry));
+	});
+};
+
+/** Remove the entries which haven't been used in the last `days` days,
+ * or were made by another version of the renderer.  Returns a promise
+ * for the number of entries removed. */
+Cache.prototype.prune = function(days) {
+	var oldest = Date.now() - days * DAY, stale = [];
+	return this._queue(function() {
+		return this.db.forEach(function(key, entry) {
+			if (entry.version !== json.version || entry.used < oldest) {
+				stale.push(key);
+			}
+		}).then(function() {
+			return P.forEachSeq(stale, function(key) {
+				return this.db.remove(key);
+			}.bind(this));
+		}.bind(this)).then(function() {
+			return stale.length;
+		});
+	});
+};
+
+/** Close the cache file, once no one else is using it. */
+Cache.prototype.close = function() {
+	return this._queue(function() {
+		if (--this.file.users > 0) { return; }
+		OPEN.delete(this.filename);
+		return this.db.close();
+	});
+};
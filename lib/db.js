@@ -78,6 +78,15 @@ Db.prototype.put = function(key, value) {
 	});
 };
 
+// Returns a promise to remove a key (and its value).
+Db.prototype.remove = function(key) {
+	return this.db.then(function(db) {
+		return P.call(
+			db.run, db, "DELETE FROM kv_table WHERE key = ?;", '' + key
+		);
+	});
+};
+
 // Returns a promise to close and finalize the database.
 Db.prototype.close = function() {
 	return this.db.then(function(db) {
@@ -0,0 +1,667 @@
+// Plain text formatter.
+// ---------------------------------------------------------------------
+"use strict";
+require('es6-shim');
+
+var Hyphenate = require('./hyphenate');
+var LineBreak = require('./linebreak');
+var UnicodeMath = require('./unicodemath');
+
+var width = LineBreak.width;
+
+// Spread the words of `line` out to fill `w` columns, by widening the
+// spaces between them (those on the left a little more).
+var justify = function(line, w) {
+	var words = line.split(' '), gaps = words.length - 1;
+	var extra = w - width(line);
+	if (gaps < 1 || extra <= 0) { return line; }
+	return words.reduce(function(result, word, i) {
+		var n = 1 + Math.floor(extra / gaps) + ((i <= extra % gaps) ? 1 : 0);
+		return result + ' '.repeat(n) + word;
+	});
+};
+
+// Heading underlines for chapters, articles and sections.
+var UNDERLINE = '=-~';
+
+// Unicode bidi controls which start and end a span of text in the given
+// direction, for each style of the `bidi` option.
+var BIDI = {
+	isolate: {
+		ltr: ['\u2066', '\u2069'],
+		rtl: ['\u2067', '\u2069'],
+		auto: ['\u2068', '\u2069']
+	},
+	embed: {
+		ltr: ['\u202A', '\u202C'],
+		rtl: ['\u202B', '\u202C']
+	}
+};
+// Marks which set the direction of a paragraph.
+var DIR_MARK = { ltr: '\u200E', rtl: '\u200F' };
+var BIDI_OPEN = /[\u2066-\u2068\u202A\u202B]/, BIDI_CLOSE = /[\u2069\u202C]/;
+
+// Conventional plain text markers for emphasis and such, with the
+// `lightMarkup` option (whose value is the marker for italics).  Word
+// joiners keep the markers on their words (and whatever follows them
+// without a space) when lines are wrapped.
+var LIGHT_MARKUP = {
+	strong: '*',
+	code: '`',
+	strike: '~~',
+	underline: '_'
+};
+
+// Format the number of a list item as letters or roman numerals.
+var ROMAN = [
+	[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'],
+	[90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'],
+	[4, 'iv'], [1, 'i']
+];
+var counter = function(num, style) {
+	var s = '';
+	switch (style) {
+	case 'lower-alpha':
+	case 'upper-alpha':
+		if (num < 1) { break; }
+		for (var n = num; n > 0; n = Math.floor((n - 1) / 26)) {
+			s = String.fromCharCode(97 + (n - 1) % 26) + s;
+		}
+		return (style === 'upper-alpha') ? s.toUpperCase() : s;
+	case 'lower-roman':
+	case 'upper-roman':
+		if (num < 1 || num > 3999) { break; }
+		ROMAN.reduce(function(n, r) {
+			for (; n >= r[0]; n -= r[0]) { s += r[1]; }
+			return n;
+		}, num);
+		return (style === 'upper-roman') ? s.toUpperCase() : s;
+	}
+	return String(num);
+};
+
+/** Formatter helper.
+ * This class encapsulates all the formatting logic.
+ */
+var Formatter = module.exports = function(outStream, options) {
+	this.options = options;
+	this.columns = options.columns || options.column || 75;
+	this.tabWidth = options.tabWidth || 2;
+	// lines are never wrapped narrower than this, however deep the indent
+	this.minWidth = options.minWidth || Math.min(20, this.columns);
+	this.buffer = [];
+	this.outStream = outStream;
+	this.newLine = this.newPara = true;
+	this.stateStack = [];
+	this.tag = null; // the list tag, until the item's first line is written
+	this.bidiOpen = []; // bidi controls open at the end of the last line
+	this.numbers = []; // for numbering the headings
+	this.articleLevel = 0;
+	// decorations for headings: a comma-separated list of styles
+	this.headingStyle = Object.create(null);
+	(options.headingStyle || '').split(',').forEach(function(style) {
+		if (style) { this.headingStyle[style] = true; }
+	}, this);
+	var align = options.justify ? 'justify' : 'left';
+	this.state = {
+		indent: 0,
+		dir: null, // paragraph direction, if set explicitly
+		align: align,
+		wrap: this._makeWrap(0, 0, null, align)
+	};
+};
+// Return a function which wraps text to `columns` (by default,
+// this.columns), indented by `indent` spaces.  The first line "hangs"
+// out `hang` spaces to the left, to make room for a list tag or such.
+// (With the `listIndent` option set to 'flush', the following lines
+// line up with the tag instead.)  The lines are aligned 'left' (the
+// default), 'center', or 'justify' (flush with both margins, except for
+// the last line).  Only the first line written hangs: a hanging wrap has
+// a `rest` property, the wrap for the lines after it.
+Formatter.prototype._makeWrap = function(indent, hang, columns, align) {
+	hang = hang || 0;
+	columns = columns || this.columns;
+	var flush = (this.options.listIndent === 'flush');
+	var wrap;
+	if (this.options.noWrap) {
+		var spc = ' '.repeat(indent - hang);
+		wrap = function(t) {
+			return spc + t.replace(/\s+/g, ' ').replace(/\u2060/g, '').trim();
+		};
+	} else {
+		if (indent + this.minWidth >= columns) {
+			indent = Math.max(0, columns - this.minWidth);
+		}
+		wrap = this._wrapLines(indent, hang, columns, align);
+	}
+	wrap.rest = hang ? Formatter.prototype._makeWrap.call(
+		this, flush ? Math.max(0, indent - hang) : indent, 0, columns, align
+	) : null;
+	return wrap;
+};
+// The wrap function proper, for `_makeWrap` (with the indent adjusted to
+// leave room for the lines).
+Formatter.prototype._wrapLines = function(indent, hang, columns, align) {
+	var first = ' '.repeat(Math.max(0, indent - hang));
+	var rest = (this.options.listIndent === 'flush') ?
+		first : ' '.repeat(indent);
+	return function(t) {
+		var lines = LineBreak.wrap(
+			t, columns - rest.length, columns - first.length
+		);
+		return lines.map(function(line, i) {
+			var prefix = i ? rest : first;
+			if (align === 'center') {
+				var extra = Math.max(0, columns - rest.length - width(line));
+				prefix = rest + ' '.repeat(Math.floor(extra / 2));
+			} else if (align === 'justify' && i < lines.length - 1) {
+				// leave the space after a hanging list tag alone
+				var m = (i === 0 && hang) ? /^\S+ /.exec(line) : null;
+				var tag = m ? m[0] : '';
+				line = tag + justify(
+					line.slice(tag.length), columns - prefix.length - width(tag)
+				);
+			}
+			return prefix + line;
+		}).join('\n');
+	};
+};
+Formatter.prototype._write = function(text) {
+	this.outStream.write(text, 'utf8');
+};
+Formatter.prototype._writeWrap = function(text) {
+	var wrapped = this.state.wrap(text);
+	var mark = this.dirMark();
+	if (mark || this.bidiOpen.length || BIDI_OPEN.test(text)) {
+		wrapped = this._balanceBidi(wrapped.split('\n'), mark).join('\n');
+	}
+	this._write(wrapped);
+};
+// Each line of plain text is a paragraph of its own for the Unicode bidi
+// algorithm, so each line starts with the mark for the paragraph
+// direction, and spans which are broken across lines are closed at the
+// end of each line and reopened on the next.
+Formatter.prototype._bidiStart = /^ */;
+Formatter.prototype._balanceBidi = function(lines, mark) {
+	var open = this.bidiOpen;
+	return lines.map(function(line) {
+		var prefix = mark + open.join('');
+		for (var i = 0; i < line.length; i++) {
+			if (BIDI_OPEN.test(line[i])) {
+				open.push(line[i]);
+			} else if (BIDI_CLOSE.test(line[i])) {
+				open.pop();
+			}
+		}
+		var suffix = open.map(function(c) {
+			return /[\u202A\u202B]/.test(c) ? '\u202C' : '\u2069';
+		}).reverse().join('');
+		var start = this._bidiStart.exec(line)[0].length;
+		return line.slice(0, start) + prefix + line.slice(start) + suffix;
+	}, this);
+};
+// Set the paragraph direction ('ltr' or 'rtl'); returns the previous one.
+Formatter.prototype.setDirection = function(dir) {
+	var was = this.state.dir;
+	if (dir !== was) {
+		this.lineBreak();
+		this.state.dir = dir;
+	}
+	return was;
+};
+// Set the alignment of the following lines ('left', 'center' or
+// 'justify'); returns the previous one.
+Formatter.prototype.setAlignment = function(align) {
+	var was = this.state.align;
+	if (align !== was) {
+		this.lineBreak();
+		this.state.align = align;
+		this.state.wrap = this._makeWrap(this.state.indent, 0, null, align);
+	}
+	return was;
+};
+// The mark which starts each line, for the current paragraph direction.
+Formatter.prototype.dirMark = function() {
+	if (!this.state.dir || this.options.bidi === 'none') { return ''; }
+	return DIR_MARK[this.state.dir] || '';
+};
+Formatter.prototype.flush = function() {
+	return new Promise(function(resolve, reject) {
+		this.lineBreak();
+		this.outStream.write('', 'utf8', function() {
+			resolve();
+		});
+	}.bind(this));
+};
+
+// The state which carries over from one article to the next (between
+// articles, once the output has been flushed), as a JSON-able object.
+// This lets an article be rendered on its own, or replayed from a cache.
+// The next heading is a chapter or article title, so the numbers of the
+// last article's sections don't carry over.
+Formatter.prototype.getState = function() {
+	return {
+		numbers: this.numbers.slice(0, this.articleLevel + 1),
+		articleLevel: this.articleLevel,
+		newLine: this.newLine,
+		newPara: this.newPara,
+		bidiOpen: this.bidiOpen.slice()
+	};
+};
+Formatter.prototype.setState = function(state) {
+	this.numbers = state.numbers.slice();
+	this.articleLevel = state.articleLevel;
+	this.newLine = state.newLine;
+	this.newPara = state.newPara;
+	this.bidiOpen = state.bidiOpen.slice();
+};
+
+// Write out anything left over at the end of the collection.
+Formatter.prototype.finish = function() {
+	return this.flush();
+};
+
+// Collection structure.  The visitor emits the article titles itself.
+Formatter.prototype.startChapter = function(title) {
+	this.articleLevel = 1; // articles are within chapters
+	this.writeHeading(0, title);
+};
+Formatter.prototype.endChapter = function() {
+};
+Formatter.prototype.startArticle = function(info) {
+	this.articleLevel = info.level;
+};
+Formatter.prototype.endArticle = function() {
+	this.paragraphBreak();
+};
+
+Formatter.prototype.writeTitle = function(title, subtitle) {
+	title = title.trim();
+	if (this.headingStyle.caps) { title = title.toUpperCase(); }
+	if (this.headingStyle.boxed) {
+		return this._writeBoxed([title].concat(subtitle ? [subtitle] : []));
+	}
+	if (this.headingStyle.underline) {
+		this._writeUnderlined(title, '=', true);
+	} else {
+		this.write(title);
+		this.lineBreak();
+	}
+	if (subtitle) {
+		this.write(subtitle.trim());
+		this.lineBreak();
+	}
+	this.paragraphBreak();
+};
+// Write the title (and subtitle) centred in a box.
+Formatter.prototype._writeBoxed = function(texts) {
+	var wrap = this._makeWrap(0, 0, this.columns - 6);
+	var lines = [];
+	texts.forEach(function(text, i) {
+		if (i) { lines.push(''); }
+		lines.push.apply(lines, wrap(text.trim()).split('\n'));
+	});
+	var w = Math.max.apply(Math, lines.map(width));
+	var rule = '+' + '-'.repeat(w + 4) + '+';
+	var box = [rule, '|' + ' '.repeat(w + 4) + '|'].concat(lines.map(function(line) {
+		var extra = w - width(line), left = Math.floor(extra / 2);
+		return '|  ' + ' '.repeat(left) + line + ' '.repeat(extra - left) + '  |';
+	}), ['|' + ' '.repeat(w + 4) + '|', rule]);
+	// centre the box, unless we aren't wrapping lines
+	var margin = this.options.noWrap ? '' :
+		' '.repeat(Math.max(0, Math.floor((this.columns - w - 6) / 2)));
+	this.writeBlock(box.map(function(line) { return margin + line; }));
+};
+// Write `text` underlined (and maybe overlined) by the character `ch`,
+// as wide as the longest line of the (wrapped) text, and starting in the
+// same column as the text (which may hang, or be centred, or follow the
+// tag of the list item it starts).
+Formatter.prototype._writeUnderlined = function(text, ch, overline) {
+	this.lineBreak();
+	var tag = (this.tag || '').replace(/^ +/, '');
+	this.tag = null;
+	var lines = this.state.wrap(tag + text).split('\n');
+	var left = Math.min.apply(Math, lines.map(function(line, i) {
+		return /^ */.exec(line)[0].length + (i ? 0 : width(tag));
+	}));
+	var right = Math.max.apply(Math, lines.map(function(line) {
+		return width(line.replace(/\s+$/, ''));
+	}));
+	var rule = ' '.repeat(left) + ch.repeat(right - left);
+	if (overline) { this._write(rule + '\n'); }
+	lines.forEach(function(line) { this._write(line + '\n'); }, this);
+	this._write(rule + '\n');
+	this.newLine = true;
+	this.newPara = false;
+	if (this.state.wrap.rest) { this.state.wrap = this.state.wrap.rest; }
+};
+Formatter.prototype.writeSummary = function(summary) {
+	this.paragraphBreak();
+	this.indent();
+	this.write(summary.trim());
+	this.dedent();
+	this.paragraphBreak();
+};
+// Write lines of pre-formatted text (for example, a table) at the current
+// indentation level, without wrapping them.
+Formatter.prototype.writeBlock = function(lines) {
+	this.paragraphBreak();
+	var spc = ' '.repeat(this.state.indent), tag = this.tag;
+	lines.forEach(function(line, i) {
+		if (i === 0 && tag) {
+			// the tag of the list item this starts hangs out to the left
+			this.tag = null;
+			line = ' '.repeat(Math.max(0, this.state.indent - width(tag))) +
+				tag + line;
+		} else if (line) {
+			line = spc + line;
+		}
+		this._write(line + '\n');
+	}, this);
+	this.newLine = true;
+	this.newPara = false;
+	this.paragraphBreak();
+};
+// Write a block of preformatted text (such as source code, in the
+// language `lang`) verbatim, marked as the `codeStyle` option says:
+// 'plain', with a 'fence' above and below, or with a 'gutter' down the
+// left side.  Lines which don't fit are left alone, or 'cut' off or
+// 'fold'ed, according to the `longLines` option.
+Formatter.prototype.writeCode = function(lines, lang) {
+	var style = this.options.codeStyle || 'plain';
+	var gutter = (style === 'gutter') ? '| ' : '';
+	var w = this.lineWidth();
+	if (!w) {
+		// no room for a block; collect() will run the lines together
+		return this.writeBlock(lines);
+	}
+	w = Math.max(1, w - gutter.length);
+	if (this.options.longLines === 'cut') {
+		lines = lines.map(function(line) {
+			if (width(line) <= w) { return line; }
+			return LineBreak.fold(line, w - 1)[0] + '\u2026';
+		});
+	} else if (this.options.longLines === 'fold') {
+		lines = lines.reduce(function(result, line) {
+			return result.concat(
+				(width(line) <= w) ? [line] : LineBreak.fold(line, w)
+			);
+		}, []);
+	}
+	lines = lines.map(function(line) {
+		return (gutter + line).replace(/\s+$/, '');
+	});
+	if (style === 'fence') {
+		lines = ['```' + (lang || '')].concat(lines, ['```']);
+	}
+	this.writeBlock(lines);
+};
+// The number of columns available at the current indentation level.
+Formatter.prototype.lineWidth = function() {
+	if (this.options.noWrap) { return Infinity; }
+	return Math.max(this.columns - this.state.indent, this.minWidth);
+};
+// Write a table (see table.js); if it is too wide to draw, list its
+// contents row by row instead.
+Formatter.prototype.writeTable = function(table) {
+	var lines = table.render(this.lineWidth());
+	if (lines) {
+		if (lines.length) { this.writeBlock(lines); }
+		return;
+	}
+	this.paragraphBreak();
+	if (table.caption) {
+		this.write(table.caption);
+		this.paragraphBreak();
+	}
+	table.linearize().forEach(function(row) {
+		this.indent('*');
+		row.forEach(function(cell) {
+			if (cell.label) { this.write(cell.label + ': '); }
+			this.write(cell.text);
+			this.lineBreak();
+		}, this);
+		this.dedent();
+	}, this);
+	this.paragraphBreak();
+};
+// Headings may be underlined (by level: chapters, articles, and then
+// sections) or, for chapters and articles, in capitals.
+Formatter.prototype.writeHeading = function(level, heading) {
+	var number = this.headingNumber(level);
+	heading = (number ? (number + ' ') : '') + heading.trim();
+	if (this.headingStyle.caps && level <= this.articleLevel) {
+		heading = heading.toUpperCase();
+	}
+	this.paragraphBreak();
+	if (this.headingStyle.underline && this.lineWidth()) {
+		var n = level - this.articleLevel + 1;
+		this._writeUnderlined(
+			heading, UNDERLINE.charAt(Math.max(0, Math.min(n, 2)))
+		);
+	} else {
+		this.write(heading);
+	}
+	this.paragraphBreak();
+};
+// Return the number (like "1.2.3") of the next heading at `level`, or
+// null if the `numberHeadings` option isn't set.
+Formatter.prototype.headingNumber = function(level) {
+	if (!this.options.numberHeadings) { return null; }
+	var numbers = this.numbers;
+	numbers.length = level + 1;
+	for (var i = 0; i < level; i++) {
+		numbers[i] = numbers[i] || 0;
+	}
+	numbers[level] = (numbers[level] || 0) + 1;
+	// leave out the levels above the first heading (for example, the
+	// title of a single article isn't shown)
+	var first = 0;
+	while (!numbers[first]) { first++; }
+	return numbers.slice(first).join('.');
+};
+// Write the table of contents (as collected by toc.js).
+Formatter.prototype.writeToc = function(entries) {
+	if (!entries.length) { return; }
+	var top = Math.min.apply(Math, entries.map(function(e) {
+		return e.level;
+	}));
+	this.paragraphBreak();
+	this.write('Contents');
+	this.paragraphBreak();
+	this.writeBlock(entries.map(function(e) {
+		return ' '.repeat(this.tabWidth * (e.level - top)) +
+			(e.number ? (e.number + ' ') : '') + e.title;
+	}, this));
+};
+// Start an indented block; with a `tag` this is a list item (`kind` is
+// the type of list: 'UL', 'OL', or 'note' for references).
+// The items of lists hang out by the width of their marker, and are
+// indented by that (or a tab stop, if it's more); other tags just hang
+// out by a tab stop.
+Formatter.prototype.indent = function(tag, kind) {
+	this.lineBreak();
+	this.stateStack.push(this.state);
+	var hang = !tag ? 0 : (kind === 'UL' || kind === 'OL') ?
+		tag.length + 1 : this.tabWidth;
+	var nIndent = this.state.indent + Math.max(hang, this.tabWidth);
+	// a marker padded with leading spaces is right-aligned (unless the
+	// item's lines are flush with it)
+	var pad = (tag && this.options.listIndent !== 'flush') ?
+		/^ */.exec(tag)[0].length : 0;
+	this.state = {
+		indent: nIndent,
+		dir: this.state.dir,
+		align: this.state.align,
+		wrap: this._makeWrap(nIndent, hang - pad, null, this.state.align)
+	};
+	// the tag goes on the first line of the item, whether that is text or
+	// a block (such as code)
+	this.tag = tag ? (tag + ' ') : null;
+};
+Formatter.prototype.dedent = function() {
+	this._writeTag(); // an empty item
+	this.lineBreak();
+	this.state = this.stateStack.pop();
+};
+// Start the first line of a list item with its tag.
+Formatter.prototype._writeTag = function() {
+	var tag = this.tag;
+	if (tag) {
+		this.tag = null;
+		this.write(tag);
+	}
+};
+
+// Math is written inline, or on lines of its own for display math.
+// `math` has been parsed by unicodemath.js; `tex` is the original TeX
+// source.  With the `mathLayout` option set to '2d', display math is
+// laid out in two dimensions, unless that is too wide.
+Formatter.prototype.writeMath = function(math, display, tex) {
+	/* jshint unused: vars */
+	var lines = (display && this.options.mathLayout === '2d') ?
+		UnicodeMath.layout(math, this.lineWidth()) : null;
+	if (lines) {
+		this.writeBlock(lines);
+		return;
+	}
+	var text = UnicodeMath.linear(math);
+	if (!display) {
+		this.write(this.escape(text.replace(/\n/g, ' ')));
+		return;
+	}
+	text.split('\n').forEach(function(line) {
+		this.write(this.escape(line));
+		this.lineBreak();
+	}, this);
+};
+
+// Figures: a placeholder for the image, and an indented caption.
+Formatter.prototype.startFigure = function(name) {
+	this.paragraphBreak();
+	this.write(this.escape(this.figureTag(name)));
+	this.indent();
+};
+Formatter.prototype.endFigure = function() {
+	this.dedent();
+	this.paragraphBreak();
+};
+
+// Infoboxes: an indented block of "Label: value" lines, with an
+// optional title.  Rows without a label are either headings or values.
+Formatter.prototype.writeInfobox = function(infobox) {
+	this.paragraphBreak();
+	if (infobox.title) {
+		this.write(infobox.title);
+		this.lineBreak();
+	}
+	this.indent();
+	infobox.rows.forEach(function(row) {
+		if (row.heading) {
+			this.paragraphBreak();
+			this.write(row.heading);
+		} else {
+			this.write(row.label ? (row.label + ': ' + row.value) : row.value);
+		}
+		this.lineBreak();
+	}, this);
+	this.dedent();
+	this.paragraphBreak();
+};
+
+// Definition lists: the term is used as a hanging tag.
+Formatter.prototype.startDefinition = function(term) {
+	this.indent(term);
+};
+Formatter.prototype.endDefinition = function() {
+	this.dedent();
+};
+
+// Markers for list items and for entries in the reference list.  The
+// `style` of an ordered list is a CSS list-style-type.
+Formatter.prototype.listTag = function(type, num, depth, style) {
+	depth = (depth - 1) % 3; // top-level lists have depth 1
+	if (type === 'OL') {
+		return counter(num, style) + (".)]".charAt(depth));
+	}
+	return "*-+".charAt(depth);
+};
+Formatter.prototype.noteTag = function(num) {
+	return '[' + num + ']';
+};
+Formatter.prototype.figureTag = function(name) {
+	return '[Image: ' + name + ']';
+};
+
+// Return the [open, close] strings to wrap around content of the given
+// `kind`, or null to leave it as is.  Plain text has no inline markup,
+// apart from the numbered markers for links and the bidi controls for
+// text in another direction.
+Formatter.prototype.markup = function(kind, arg) {
+	if (kind === 'linkref') {
+		return ['', '[' + arg + ']'];
+	}
+	if (kind === 'dir') {
+		// text in another direction (by default, an isolate)
+		var style = BIDI[this.options.bidi || 'isolate'];
+		return (style && style[arg]) || null;
+	}
+	var light = this.options.lightMarkup;
+	if (light && (kind === 'em' || LIGHT_MARKUP.hasOwnProperty(kind))) {
+		var marker = (kind === 'em') ? light : LIGHT_MARKUP[kind];
+		return [marker + '\u2060', '\u2060' + marker + '\u2060'];
+	}
+	return null;
+};
+
+// List the targets of the numbered links at the end of an article;
+// `level` is that of the article's sections.
+Formatter.prototype.writeLinks = function(links, level) {
+	this.writeHeading(level, 'Links');
+	this.writeBlock(links.map(function(link, i) {
+		return '[' + (i + 1) + '] ' + link.url;
+	}));
+};
+// Mark the places where the words of `text` (in the language `lang`)
+// may be broken, if we've been asked to hyphenate.
+Formatter.prototype.hyphenate = function(text, lang) {
+	if (!this.options.hyphenate || this.options.noWrap) { return text; }
+	return Hyphenate.hyphenate(text, lang);
+};
+// Quote characters which would otherwise be taken as markup.
+Formatter.prototype.escape = function(text) {
+	return text;
+};
+
+Formatter.prototype.paragraphBreak = function() {
+	if (this.newPara) { return; }
+	if (!this.newLine) {
+		this.lineBreak();
+	}
+	this._write('\n'); // turn line break into paragraph break
+	this.newPara = true;
+	return;
+};
+Formatter.prototype.lineBreak = function() {
+	if (this.newLine) { return; }
+	this._writeWrap(this.buffer.join(''));
+	this._write('\n');
+	this.buffer.length = 0;
+	this.newLine = true;
+	// the following lines of a list item don't hang
+	if (this.state.wrap.rest) { this.state.wrap = this.state.wrap.rest; }
+};
+
+// accumulate text in buffer until the next linebreak or paragraph break.
+Formatter.prototype.write = function(text) {
+	if (this.tag && /\S/.test(text)) { this._writeTag(); }
+	if (this.newLine || this.newPara) {
+		text = text.replace(/^\s+/, ''); // kill leading space after nl
+		if (!text.length) { return; }
+		this.newLine = this.newPara = false;
+	}
+	// the given text shouldn't have line breaks, and should have all the
+	// spaces compressed... but LineBreak.wrap will take care of that for
+	// us.
+	this.buffer.push(text);
+};
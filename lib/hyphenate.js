@@ -0,0 +1,45 @@
+/** Hyphenation of running text, using the Knuth-Liang patterns of the
+ * `hyphenation.*` packages.  Possible breaks are marked with soft
+ * hyphens (U+00AD), which the line breaker knows about. */
+"use strict";
+require('es6-shim');
+
+var Hypher = require('hypher');
+
+// Pattern sets, by (primary) language code.
+var PATTERNS = {
+	de: 'hyphenation.de',
+	en: 'hyphenation.en-us',
+	fi: 'hyphenation.fi',
+	fr: 'hyphenation.fr',
+	hu: 'hyphenation.hu',
+	nl: 'hyphenation.nl',
+	sv: 'hyphenation.sv'
+};
+var hyphenators = Object.create(null);
+
+// Candidate words: runs of at least five characters other than spaces,
+// digits and punctuation.  Soft hyphens already in the text are part of
+// the word, so that the hyphenator leaves the word as it is.
+var WORD = /[^\s!-@\[-`{-~\u00A0-\u00AC\u00AE-\u00BF\u2000-\u206F\u3000-\u303F]{5,}/g;
+
+// Return the hyphenator for the language `lang`, or null if we don't
+// have patterns for it.
+var hyphenator = function(lang) {
+	lang = String(lang || '').toLowerCase().split(/[-_]/)[0];
+	if (!(lang in hyphenators)) {
+		hyphenators[lang] = PATTERNS[lang] ?
+			new Hypher(require(PATTERNS[lang])) : null;
+	}
+	return hyphenators[lang];
+};
+
+/** Mark the places where the words of `text` (in language `lang`) may be
+ * hyphenated with soft hyphens. */
+exports.hyphenate = function(text, lang) {
+	var h = hyphenator(lang);
+	if (!h) { return text; }
+	return text.replace(WORD, function(word) {
+		return h.hyphenate(word).join('\u00AD');
+	});
+};
@@ -9,10 +9,10 @@ var json = require('../package.json');
 
 var domino = require('domino');
 var fs = require('fs');
-var linewrap = require('linewrap');
 var path = require('path');
 var stream = require('stream');
 var tmp = require('tmp');
+var url = require('url');
 tmp.setGracefulCleanup();
 
 // node 0.8 compatibility
@@ -20,11 +20,21 @@ if (!stream.Writable) {
 	stream = require('readable-stream');
 }
 
+var Cache = require('./cache');
 var Db = require('./db');
 var DomUtil = require('./domutil');
+var Formatter = require('./formatter');
+var JsonFormatter = require('./json');
+var LineBreak = require('./linebreak');
+var MarkdownFormatter = require('./markdown');
 var P = require('./p');
+var Pool = require('./pool');
 var Polyglossia = require('./polyglossia');
 var StatusReporter = require('./status');
+var Table = require('./table');
+var TocFormatter = require('./toc');
+var UnicodeMath = require('./unicodemath');
+var ZipFile = require('./zip');
 
 
 // Convert plain text (with HTML whitespace semantics) to an appropriately
@@ -41,6 +51,26 @@ var textEscape = function(str) {
 	return str;
 };
 
+// Kinds of markup for emphasis and such (see visitMarkup).
+var EMPHASIS = [ 'strong', 'em', 'code', 'strike', 'underline' ];
+
+// Elements which make up paragraphs of their own.
+var BLOCK_ELEMENTS = /^(BODY|SECTION|DIV|P|CENTER|BLOCKQUOTE|PRE|H[1-6]|UL|OL|LI|DL|DT|DD|TABLE|CAPTION|THEAD|TBODY|TFOOT|TR|TD|TH|FIGURE|FIGCAPTION)$/;
+
+// Split preformatted text into lines, expanding tabs (with tab stops
+// every eight columns).  As in HTML, a newline right at the start
+// doesn't count.
+var codeLines = function(str) {
+	str = str.replace(/\r\n?/g, '\n').replace(/^\n/, '')
+		.replace(/\s+$/, '');
+	return str.split('\n').map(function(line) {
+		return line.split('\t').reduce(function(result, piece) {
+			var w = LineBreak.width(result);
+			return result + ' '.repeat(8 - (w % 8)) + piece;
+		});
+	});
+};
+
 // Special predicate for some image templates used on enwiki
 // XXX restrict to enwiki content?
 var isMultipleImageTemplate = function(node) {
@@ -57,8 +87,9 @@ var isMultipleImageTemplate = function(node) {
 	return false;
 };
 
-// Predicate to distinguish 'nonprintable' content.
-var isHidden = function(node) {
+// Predicate to distinguish 'nonprintable' content.  Infoboxes are
+// only shown with the `infobox` option.
+var isHidden = function(node, options) {
 	if (isMultipleImageTemplate(node)) {
 		return false;
 	}
@@ -71,136 +102,15 @@ var isHidden = function(node) {
 	}
 	// bit of a hack: hide infobox / navbox / rellink / dablink / metadata
 	// XXX restrict to enwiki or localize?
-	if (['infobox', 'navbox', 'rellink', 'dablink', 'toplink', 'metadata'].some(function(c) {
+	if (['navbox', 'rellink', 'dablink', 'toplink', 'metadata'].some(function(c) {
 		return node.classList.contains(c);
 	})) {
 		return true;
 	}
-	return false;
-};
-
-/** Formatter helper.
- * This class encapsulates all the formatting logic.
- */
-var Formatter = function(outStream, options) {
-	this.options = options;
-	this.columns = options.column || 75;
-	this.tabWidth = options.tabWidth || 2;
-	this.buffer = [];
-	this.outStream = outStream;
-	this.newLine = this.newPara = true;
-	this.stateStack = [];
-	this.state = {
-		indent: 0,
-		wrap: this._makeWrap(0)
-	};
-};
-Formatter.prototype._makeWrap = function(indent, tag) {
-	if (this.options.noWrap) {
-		if (tag) { indent -= this.tabWidth; }
-		var spc = (function mkspace(n) { /* jshint bitwise: false */
-			if (n<=1) { return (n===1) ? ' ' : ''; }
-			var m = (n/2)|0;
-			return mkspace(m) + mkspace(n-m);
-		})(indent); /* make a string `n` spaces long */
-		return function(t) { return spc + t.replace(/\s+/g, ' ').trim(); };
-	}
-	var opts = {
-		whitespace: 'collapse',
-		respectLineBreaks: 'none',
-		tabWidth: this.tabWidth
-	};
-	if (indent + 20 >= this.columns) {
-		indent = this.columns - 20;
-	}
-	if (tag) {
-		opts.wrapLineIndent = this.tabWidth;
-		return linewrap(this.columns, indent - this.tabWidth, opts);
-	}
-	return linewrap(this.columns, indent, opts);
-};
-Formatter.prototype._write = function(text) {
-	this.outStream.write(text, 'utf8');
-};
-Formatter.prototype._writeWrap = function(text) {
-	this._write(this.state.wrap(text));
-};
-Formatter.prototype.flush = function() {
-	return new Promise(function(resolve, reject) {
-		this.lineBreak();
-		this.outStream.write('', 'utf8', function() {
-			resolve();
-		});
-	}.bind(this));
-};
-
-Formatter.prototype.writeTitle = function(title, subtitle) {
-	this.write(title.trim());
-	this.lineBreak();
-	if (subtitle) {
-		this.write(subtitle.trim());
-		this.lineBreak();
-	}
-	this.paragraphBreak();
-};
-Formatter.prototype.writeSummary = function(summary) {
-	this.paragraphBreak();
-	this.indent();
-	this.write(summary.trim());
-	this.dedent();
-	this.paragraphBreak();
-};
-Formatter.prototype.writeHeading = function(level, heading) {
-	this.paragraphBreak();
-	this.write(heading.trim());
-	this.paragraphBreak();
-};
-Formatter.prototype.indent = function(tag) {
-	this.lineBreak();
-	this.stateStack.push(this.state);
-	var nIndent = this.state.indent + this.tabWidth;
-	this.state = {
-		indent: nIndent,
-		wrap: this._makeWrap(nIndent, tag)
-	};
-	if (tag) {
-		this.write(tag);
-		this.write(' ');
-	}
-};
-Formatter.prototype.dedent = function() {
-	this.lineBreak();
-	this.state = this.stateStack.pop();
-};
-
-Formatter.prototype.paragraphBreak = function() {
-	if (this.newPara) { return; }
-	if (!this.newLine) {
-		this.lineBreak();
+	if (node.classList.contains('infobox')) {
+		return !options.infobox;
 	}
-	this._write('\n'); // turn line break into paragraph break
-	this.newPara = true;
-	return;
-};
-Formatter.prototype.lineBreak = function() {
-	if (this.newLine) { return; }
-	this._writeWrap(this.buffer.join(''));
-	this._write('\n');
-	this.buffer.length = 0;
-	this.newLine = true;
-};
-
-// accumulate text in buffer until the next linebreak or paragraph break.
-Formatter.prototype.write = function(text) {
-	if (this.newLine || this.newPara) {
-		text = text.replace(/^\s+/, ''); // kill leading space after nl
-		if (!text.length) { return; }
-		this.newLine = this.newPara = false;
-	}
-	// the given text shouldn't have line breaks, and should have all the
-	// spaces compressed... but the linewrap module should take care of
-	// that for us.
-	this.buffer.push(text);
+	return false;
 };
 
 /* Document node visitor class.  Collects plain text output as it traverses the
@@ -215,15 +125,25 @@ var Visitor = function(document, format, options) {
 	this.currentDirectionality = options.dir || 'ltr';
 	this.usedLanguages = new Set();
 	this.listInfo = { depth: 0 };
+	this.infoboxes = new Set(); // infoboxes already shown
+	this.infobox = null; // the infobox being collected
+	// links to be listed at the end of the article, if requested
+	this.links = [];
+	this.linkNums = Object.create(null);
 };
 
 // Helper function -- collect all text from the children of `node` as
 // HTML non-block/TeX non-paragraph content.  Invoke `f` with the result,
-// suitable for inclusion in a TeX non-paragraph context.
-Visitor.prototype.collect = function(node, f) {
+// suitable for inclusion in a TeX non-paragraph context.  With `plain`
+// set, emphasis and such is left unmarked, too; with `verbatim` set, the
+// text isn't escaped (as in code).
+Visitor.prototype.collect = function(node, f, plain, verbatim) {
 	var wasFormat = this.format;
 	var b = [];
-	this.format = {
+	// inherit inline markup from the current formatter, but flatten
+	// all the block structure into a single line of text.
+	this.format = Object.create(wasFormat);
+	Object.assign(this.format, {
 		newLine: true,
 		newPara: true,
 		write: function(text) {
@@ -242,8 +162,37 @@ Visitor.prototype.collect = function(node, f) {
 		},
 		dedent: function() {
 			this.lineBreak();
-		}
-	};
+		},
+		writeBlock: function(lines) {
+			this.lineBreak();
+			this.write(lines.join(' '));
+			this.lineBreak();
+		},
+		_write: function(text) {
+			b.push(text);
+		},
+		// no room for tables and such; they will be linearized
+		lineWidth: function() { return 0; },
+		// collected text is mostly used where it won't be wrapped
+		hyphenate: function(text) { return text; },
+		startDefinition: Formatter.prototype.startDefinition,
+		endDefinition: Formatter.prototype.endDefinition,
+		writeHeading: Formatter.prototype.writeHeading,
+		writeTable: Formatter.prototype.writeTable,
+		writeMath: Formatter.prototype.writeMath,
+		writeCode: Formatter.prototype.writeCode,
+		startFigure: Formatter.prototype.startFigure,
+		endFigure: Formatter.prototype.endFigure
+	});
+	if (plain) {
+		this.format.markup = function(kind, arg) {
+			return (EMPHASIS.indexOf(kind) < 0) ?
+				wasFormat.markup(kind, arg) : null;
+		};
+	}
+	if (verbatim) {
+		this.format.escape = function(text) { return text; };
+	}
 	this.visitChildren(node);
 	// combine lines, compress paragraphs
 	var text = b.join('').replace(/\s+/g, ' ');
@@ -257,7 +206,7 @@ Visitor.prototype.visit = function(node) {
 	var name = node.nodeName, type = node.nodeType;
 	switch(type) {
 	case node.ELEMENT_NODE:
-		if (isHidden(node)) {
+		if (isHidden(node, this.options)) {
 			return;
 		}
 		// handle LANG attributes (which override everything else)
@@ -300,7 +249,8 @@ Visitor.prototype.visit = function(node) {
 	case node.CDATA_SECTION_NODE:
 		var text = textEscape(node.data);
 		if (text) {
-			this.format.write(text);
+			text = this.format.hyphenate(text, this.currentLanguage);
+			this.format.write(this.format.escape(text));
 		}
 		break;
 
@@ -329,12 +279,84 @@ Visitor.prototype.visitBODY = function(node) {
 	}
 	// titles use _ instead of ' '
 	title = title.replace(/_/g, ' ');
+	// right-to-left text needs its paragraph direction set explicitly
+	var wasDir = (this.currentDirectionality === 'rtl') ?
+		this.format.setDirection('rtl') : null;
+	if (this.options.infobox === 'top') {
+		var infoboxes = node.querySelectorAll('table.infobox');
+		for (var i = 0, n = infoboxes.length; i < n; i++) {
+			this.visit(infoboxes[i]);
+		}
+	}
 	this.visitChildren(node);
+	if (wasDir !== null) { this.format.setDirection(wasDir); }
+};
+
+// Helper function -- wrap the contents of `node` in whatever markup the
+// formatter uses for `kind`.  Whitespace is kept outside the markup.
+// The markup for code is given the text (which isn't escaped).
+Visitor.prototype.visitMarkup = function(node, kind, arg) {
+	var code = (kind === 'code');
+	var markup = this.format.markup(kind, code ? node.textContent : arg);
+	if (!markup) {
+		return this.visitChildren(node);
+	}
+	return this.collect(node, function(contents) {
+		var m = /^(\s*)([\s\S]*?)(\s*)$/.exec(contents);
+		if (!m[2]) { return this.format.write(contents); }
+		this.format.write(m[1] + markup[0] + m[2] + markup[1] + m[3]);
+	}, false, code);
 };
 
 Visitor.prototype.visitA = function(node) {
-	// ignore the href
-	this.visitChildren(node);
+	var href = node.getAttribute('href');
+	if (!href || /^#/.test(href)) {
+		// local anchor; ignore the href
+		return this.visitChildren(node);
+	}
+	// wiki links are relative to the article (./Title)
+	var internal = /^\.\//.test(href);
+	href = url.resolve(this.base, href);
+	if (!this.options.links) {
+		return this.visitMarkup(node, 'link', href);
+	}
+	if (internal && this.options.links === 'external') {
+		return this.visitChildren(node);
+	}
+	// number each distinct link target
+	var num = this.linkNums[href];
+	if (!num) {
+		this.links.push({ url: href, internal: internal });
+		num = this.linkNums[href] = this.links.length;
+	}
+	return this.visitMarkup(node, 'linkref', num);
+};
+
+Visitor.prototype.visitB =
+Visitor.prototype.visitSTRONG = function(node) {
+	return this.visitMarkup(node, 'strong');
+};
+
+Visitor.prototype.visitI =
+Visitor.prototype.visitEM = function(node) {
+	return this.visitMarkup(node, 'em');
+};
+
+Visitor.prototype.visitKBD =
+Visitor.prototype.visitSAMP =
+Visitor.prototype.visitTT = function(node) {
+	return this.visitMarkup(node, 'code');
+};
+
+Visitor.prototype.visitS =
+Visitor.prototype.visitDEL =
+Visitor.prototype.visitSTRIKE = function(node) {
+	return this.visitMarkup(node, 'strike');
+};
+
+Visitor.prototype.visitU =
+Visitor.prototype.visitINS = function(node) {
+	return this.visitMarkup(node, 'underline');
 };
 
 Visitor.prototype.visitP = function(node) {
@@ -343,77 +365,16 @@ Visitor.prototype.visitP = function(node) {
 	this.format.paragraphBreak();
 };
 
-var submap = {
-	'0': '\u2080',
-	'1': '\u2081',
-	'2': '\u2082',
-	'3': '\u2083',
-	'4': '\u2084',
-	'5': '\u2085',
-	'6': '\u2086',
-	'7': '\u2087',
-	'8': '\u2088',
-	'9': '\u2089',
-	'+': '\u208a',
-	'-': '\u208b',
-	'=': '\u208c',
-	'(': '\u208d',
-	')': '\u208e',
-	'a': '\u2090',
-	'e': '\u2091',
-	'o': '\u2092',
-	'x': '\u2093',
-	'h': '\u2095',
-	'k': '\u2096',
-	'l': '\u2097',
-	'm': '\u2098',
-	'n': '\u2099',
-	'p': '\u209a',
-	's': '\u209b',
-	't': '\u209c',
-	// and whitespace
-	' ': ' ',
-	'\u00A0': '\u00A0'
-};
-
-var supmap = {
-	'2': '\u00B2',
-	'3': '\u00B3',
-	'1': '\u00B9',
-	'0': '\u2070',
-	'i': '\u2071',
-	'4': '\u2074',
-	'5': '\u2075',
-	'6': '\u2076',
-	'7': '\u2077',
-	'8': '\u2078',
-	'9': '\u2079',
-	'+': '\u207a',
-	'-': '\u207b',
-	'=': '\u207c',
-	'(': '\u207d',
-	')': '\u207e',
-	'n': '\u207f',
-	// and whitespace
-	' ': ' ',
-	'\u00A0': '\u00A0'
-};
-var subre =
-	new RegExp('^['+Object.keys(submap).join('').replace(/(-)/g, '\\$1')+']+$');
-var supre =
-	new RegExp('^['+Object.keys(supmap).join('').replace(/(-)/g, '\\$1')+']+$');
-
 Visitor.prototype.visitSUB = function(node) {
 	return this.collect(node, function(contents) {
-		if (subre.test(contents)) {
-			this.format.write(contents.replace(/[\s\S]/g, function(c) {
-				return submap[c];
-			}));
+		var sub = UnicodeMath.subscript(contents);
+		if (sub !== null) {
+			this.format.write(sub);
 		} else {
 			// oh, well, just print it w/o subscripting
 			this.format.write(textEscape(contents));
 		}
-	});
+	}, true);
 };
 
 Visitor.prototype.visitSUP = function(node) {
@@ -422,23 +383,64 @@ Visitor.prototype.visitSUP = function(node) {
 		return;
 	}
 	return this.collect(node, function(contents) {
-		if (supre.test(contents)) {
-			this.format.write(contents.replace(/[\s\S]/g, function(c) {
-				return supmap[c];
-			}));
+		var sup = UnicodeMath.superscript(contents);
+		if (sup !== null) {
+			this.format.write(sup);
 		} else {
 			// oh, well, just print it w/o superscripting
 			this.format.write(textEscape(contents));
 		}
-	});
+	}, true);
 };
 
 Visitor.prototype.visitCENTER = function(node) {
 	this.format.lineBreak();
-	this.visitChildren(node); // XXX implement this properly?
+	// collect() has no room for paragraphs
+	if (!this.format.lineWidth()) {
+		this.visitChildren(node);
+	} else {
+		var wasAlign = this.format.setAlignment('center');
+		this.visitChildren(node);
+		this.format.setAlignment(wasAlign);
+	}
 	this.format.lineBreak();
 };
 
+// Preformatted text is written verbatim, line by line.
+Visitor.prototype.writeCode = function(text, lang) {
+	if (/\S/.test(text)) {
+		this.format.writeCode(codeLines(text), lang);
+	}
+};
+
+Visitor.prototype.visitPRE = function(node) {
+	this.writeCode(node.textContent);
+};
+
+// <code> is inline, unless it spans several lines.
+Visitor.prototype.visitCODE = function(node) {
+	if (/\n/.test(node.textContent.trim())) {
+		return this.writeCode(node.textContent);
+	}
+	return this.visitMarkup(node, 'code');
+};
+
+// Source code from the SyntaxHighlight extension: we want the original
+// source, not the highlighted HTML.
+Visitor.prototype['visitTYPEOF=mw:Extension/syntaxhighlight'] =
+Visitor.prototype['visitTYPEOF=mw:Extension/source'] = function(node) {
+	var data = JSON.parse(node.getAttribute('data-mw') || '{}');
+	var attrs = data.attrs || {}, body = data.body || {};
+	var src = (typeof body.extsrc === 'string') ?
+		body.extsrc : node.textContent;
+	var inline = attrs.hasOwnProperty('inline') ||
+		!BLOCK_ELEMENTS.test(node.nodeName);
+	if (inline) {
+		return this.format.write(this.format.escape(textEscape(src)));
+	}
+	this.writeCode(src, attrs.lang);
+};
+
 Visitor.prototype.visitBR = function(node) {
 	/* jshint unused: vars */
 	this.format.lineBreak();
@@ -467,9 +469,14 @@ Visitor.prototype.visitH6 = function(node) { return this.visitHn(node, 6); };
 
 Visitor.prototype['visitREL=dc:references'] = function(node) {
 	if (this.options.noRefs) { return; /* skip references */ }
+	var m = /^\[(\d+)\]$/.exec(node.textContent.trim());
+	var markup = m && this.format.markup('ref', m[1]);
+	if (markup) {
+		return this.format.write(markup.join('') + ' ');
+	}
 	return this.collect(node, function(contents) {
 		// special case references
-		if (/^\[\d+\]$/.test(contents)) {
+		if (m) {
 			node = node.ownerDocument.createElement('sup');
 			node.textContent = contents.slice(1, -1) + ' ';
 		}
@@ -477,26 +484,75 @@ Visitor.prototype['visitREL=dc:references'] = function(node) {
 	});
 };
 
+// Helper function -- the numbering style of an ordered list, from its
+// type attribute or list-style-type.
+var LIST_TYPES = {
+	'1': 'decimal',
+	a: 'lower-alpha',
+	A: 'upper-alpha',
+	i: 'lower-roman',
+	I: 'upper-roman'
+};
+var listStyle = function(node) {
+	var m = /(^|;)\s*list-style(-type)?\s*:\s*([a-z-]+)/i.exec(
+		node.getAttribute('style') || ''
+	);
+	if (m) {
+		return m[3].toLowerCase().replace(/-latin$/, '-alpha');
+	}
+	return LIST_TYPES[node.getAttribute('type')] || 'decimal';
+};
+
+// Helper function -- the number of a list item, given the number it
+// would get by counting.
+var itemNumber = function(li, num) {
+	var value = parseInt(li.getAttribute('value'), 10);
+	return isNaN(value) ? num : value;
+};
+
 Visitor.prototype.visitUL =
 Visitor.prototype.visitOL = function(node) {
 	if (!DomUtil.first_child(node)) { return; /* no items */ }
 	var wasListInfo = this.listInfo;
-	this.listInfo = {
+	var listInfo = this.listInfo = {
 		type: node.nodeName,
 		num: 0,
-		depth: wasListInfo.depth + 1
+		step: 1,
+		depth: wasListInfo.depth + 1,
+		width: 0
 	};
+	if (node.nodeName === 'OL') {
+		var items = Array.prototype.filter.call(node.children, function(c) {
+			return c.nodeName === 'LI';
+		});
+		var start = parseInt(node.getAttribute('start'), 10);
+		if (node.hasAttribute('reversed')) {
+			listInfo.step = -1;
+			if (isNaN(start)) { start = items.length; }
+		}
+		listInfo.num = (isNaN(start) ? 1 : start) - listInfo.step;
+		listInfo.style = listStyle(node);
+		// make room for the widest marker, so the items line up
+		items.reduce(function(num, li) {
+			num = itemNumber(li, num + listInfo.step);
+			listInfo.width = Math.max(listInfo.width, this.format.listTag(
+				listInfo.type, num, listInfo.depth, listInfo.style
+			).length);
+			return num;
+		}.bind(this), listInfo.num);
+	}
 	this.visitChildren(node);
 	this.listInfo = wasListInfo;
 };
 
 Visitor.prototype.visitLI = function(node) {
-	var depth = (this.listInfo.depth % 3);
-	var tag = "*-+".charAt(depth);
-	if (this.listInfo === 'OL') {
-		tag = (++this.listInfo.num) + (".)]".charAt(depth));
-	}
-	this.format.indent(tag);
+	var listInfo = this.listInfo;
+	listInfo.num = itemNumber(node, listInfo.num + (listInfo.step || 1));
+	var tag = this.format.listTag(
+		listInfo.type, listInfo.num, listInfo.depth, listInfo.style
+	);
+	tag = ' '.repeat(Math.max(0, (listInfo.width || 0) - tag.length)) + tag;
+	this.format.indent(tag, listInfo.type);
 	this.visitChildren(node);
 	this.format.dedent();
 };
@@ -535,19 +591,25 @@ Visitor.prototype.visitDL = function(node) {
 		depth: wasListInfo.depth + 1
 	};
 	this.visitChildren(node);
-	if (this.listInfo.sawDT) {
-		this.format.dedent();
-	}
+	this.endDD();
 	this.listInfo = wasListInfo;
 };
 
-Visitor.prototype.visitDT = function(node) {
-	if (this.listInfo.sawDT) {
+// Helper function -- close the current definition (if any).
+Visitor.prototype.endDD = function() {
+	if (!this.listInfo.sawDT) { return; }
+	if (this.listInfo.type === 'DL') {
+		this.format.endDefinition();
+	} else {
 		this.format.dedent();
-		this.listInfo.sawDT = false;
 	}
+	this.listInfo.sawDT = false;
+};
+
+Visitor.prototype.visitDT = function(node) {
+	this.endDD();
 	return this.collect(node, function(contents) {
-		this.format.indent(contents);
+		this.format.startDefinition(contents);
 		this.listInfo.sawDT = true;
 	});
 };
@@ -555,7 +617,11 @@ Visitor.prototype.visitDT = function(node) {
 Visitor.prototype.visitDD = function(node) {
 	// verify that previous line was the DT, otherwise add blank DT
 	if (!this.listInfo.sawDT) {
-		this.format.indent();
+		if (this.listInfo.type === 'DL') {
+			this.format.startDefinition('');
+		} else {
+			this.format.indent();
+		}
 		this.listInfo.sawDT = true;
 	}
 	this.visitChildren(node);
@@ -577,8 +643,8 @@ Visitor.prototype['visitTYPEOF=mw:Extension/references'] = function(node) {
 
 	for (var i = 0, n = node.childNodes.length; i < n; i++) {
 		var ref = node.childNodes[i];
-		var name = textEscape('[' + (i+1) + ']');
-		this.format.indent(name);
+		var name = this.format.noteTag(i+1);
+		this.format.indent(name, 'note');
 		this.visitChildren(ref);
 		this.format.dedent();
 	}
@@ -589,208 +655,242 @@ Visitor.prototype.visitTABLE = function(node) {
 	if (node.getAttribute('about') in this.templates) {
 		return;
 	}
-	// xxx hide all tables for now
+	if (node.classList.contains('infobox')) {
+		return this.visitInfobox(node);
+	}
+	var table = new Table({ style: this.options.tableStyle });
+	var visitCells = function(tr) {
+		for (var cell = tr.firstElementChild; cell;
+			 cell = cell.nextElementSibling) {
+			if (!/^T[DH]$/.test(cell.nodeName) || isHidden(cell, this.options)) {
+				continue;
+			}
+			this.collect(cell, function(contents) {
+				table.addCell(contents, {
+					header: cell.nodeName === 'TH',
+					colspan: parseInt(cell.getAttribute('colspan'), 10) || 1,
+					rowspan: cell.hasAttribute('rowspan') ?
+						(parseInt(cell.getAttribute('rowspan'), 10) || 0) : 1
+				});
+			});
+		}
+	}.bind(this);
+	var visitRows = function(parent) {
+		for (var child = parent.firstElementChild; child;
+			 child = child.nextElementSibling) {
+			if (isHidden(child, this.options)) { continue; }
+			switch (child.nodeName) {
+			case 'CAPTION':
+				this.collect(child, table.setCaption.bind(table));
+				break;
+			case 'THEAD':
+			case 'TBODY':
+			case 'TFOOT':
+				visitRows(child);
+				break;
+			case 'TR':
+				table.addRow();
+				visitCells(child);
+				break;
+			}
+		}
+	}.bind(this);
+	visitRows(node);
+	this.format.writeTable(table);
 };
 
-// images!
-Visitor.prototype.visitFIGURE = function(node, extraCaption) {
-	/* jshint unused: vars */
-	// skip all figures.
-	return;
-};
-
-var warned = {};
-
-var cleanMath = function(math) {
-	var result = '';
-	var funcMap = {
-		cdot: function() { return '·'; },
-		cdots: function() { return '⋯'; },
-		dots: function() { return '…'; },
-		ldots: function() { return '…'; },
-
-		'': function(s) { return s || ''; },
-		mathbf: function(s) { return s || ''; },
-		rm: function(s) { return s || ''; },
-		scriptstyle: function(s) { return s || ''; },
-		text: function(s) { return s || ''; },
-
-		alpha: function() { return 'α'; },
-		beta: function() { return 'β'; },
-		gamma: function() { return 'γ'; },
-		delta: function() { return 'δ'; },
-		epsilon: function() { return 'ϵ'; },
-		varepsilon: function() { return 'ε'; },
-		zeta: function() { return 'ζ'; },
-		eta: function() { return 'η'; },
-		theta: function() { return 'θ'; },
-		vartheta: function() { return 'ϑ'; },
-		iota: function() { return 'ι'; },
-		kappa: function() { return 'κ'; },
-		lambda: function() { return 'λ'; },
-		mu: function() { return 'μ'; },
-		nu: function() { return 'ν'; },
-		xi: function() { return 'ξ'; },
-		pi: function() { return 'π'; },
-		varpi: function() { return 'ϖ'; },
-		rho: function() { return 'ρ'; },
-		varrho: function() { return 'ϱ'; },
-		sigma: function() { return 'σ'; },
-		varsigma: function() { return 'ς'; },
-		tau: function() { return 'τ'; },
-		upsilon: function() { return 'υ'; },
-		phi: function() { return 'ϕ'; },
-		varphi: function() { return 'φ'; },
-		chi: function() { return 'χ'; },
-		psi: function() { return 'ψ'; },
-		omega: function() { return 'ω'; },
-
-		Gamma: function() { return 'Γ'; },
-		Delta: function() { return 'Δ'; },
-		Theta: function() { return 'Θ'; },
-		Lambda: function() { return 'Λ'; },
-		Xi: function() { return 'Ξ'; },
-		Pi: function() { return 'Π'; },
-		Sigma: function() { return 'Σ'; },
-		Upsilon: function() { return 'Υ'; },
-		Phi: function() { return 'Φ'; },
-		Psi: function() { return 'Ψ'; },
-		Omega: function() { return 'Ω'; },
-
-		approx: function() { return '≈'; },
-		bigcap: function() { return '∩'; },
-		bigcup: function() { return '∪'; },
-		cap: function() { return '∩'; },
-		cup: function() { return '∪'; },
-		equiv: function() { return '≡'; },
-		exists: function() { return '∃'; },
-		forall: function() { return '∀'; },
-		int: function() { return '∫'; },
-		sqrt: function(arg) { return '√('+arg+')'; },
-		sum: function() { return 'Σ'; },
-		vee: function() { return '∨'; },
-		wedge: function() { return '∧'; },
-
-		leftarrow:  function() { return '←'; },
-		gets:       function() { return '←'; },
-		Leftarrow:  function() { return '⇐'; },
-		rightarrow: function() { return '→'; },
-		to:         function() { return '→'; },
-		Rightarrow: function() { return '⇒'; },
-		leftrightarrow: function() { return '↔'; },
-		Leftrightarrow: function() { return '⇔'; },
-		mapsto:     function() { return '↦'; },
-		hookleftarrow: function() { return '↩'; },
-		hookrightarrow: function() { return '↪'; },
-		leftharpoonup: function() { return '↼'; },
-		leftharpoondown: function() { return '↽'; },
-		rightharpoonup: function() { return '⇀'; },
-		rightharpoondown: function() { return '⇁'; },
-		rightleftharpoons: function() { return '⇌'; },
-		uparrow:  function() { return '↑'; },
-		Uparrow:  function() { return '⇑'; },
-		downarrow:  function() { return '↓'; },
-		Downarrow:  function() { return '⇓'; },
-		updownarrow:  function() { return '↕'; },
-		Updownarrow:  function() { return '⇕'; },
-
-		' ': function() { return ' '; },
-		'quad': function() { return ' '; },
-		';': function() { return ' '; },
-		':': function() { return ' '; },
-		',': function() { return ' '; },
-		'!': function() { return ''; }, // negative space
-
-		'$': function() { return '$'; },
-		'&': function() { return '&'; },
-		'{': function() { return '{'; },
-		'}': function() { return '}'; },
-		'\\': function() { return '\n'; },
+// Helper function -- collect the separate values in an infobox cell:
+// its list items (or the cells of a nested table), or else the pieces
+// between line breaks.
+Visitor.prototype.collectValues = function(cell) {
+	var values = [];
+	var add = function(text) {
+		text = text.trim();
+		if (text) { values.push(text); }
 	};
-	var subsupre = new RegExp('(?:\\_(['+Object.keys(submap).join('').replace(/(-)/g, '')+']+)|\\^(['+Object.keys(supmap).join('').replace(/(-)/g, '')+']+))', 'g');
-	var subsup = function(s) {
-		return s.replace(subsupre, function(match, sub, sup) {
-			var s = sub ? sub : sup, map = sub ? submap : supmap;
-			return s.replace(/[\s\S]/g, function(c) { return map[c]; });
+	var items = cell.querySelectorAll('li');
+	if (!items.length) { items = cell.querySelectorAll('td'); }
+	if (items.length) {
+		for (var i = 0, n = items.length; i < n; i++) {
+			this.collect(items[i], add);
+		}
+		return values;
+	}
+	var piece = this.document.createElement('span');
+	for (var child = cell.firstChild; child; child = child.nextSibling) {
+		if (/^(BR|P|DIV)$/.test(child.nodeName)) {
+			this.collect(piece, add);
+			piece = this.document.createElement('span');
+			if (child.nodeName === 'BR') { continue; }
+		}
+		piece.appendChild(child.cloneNode(true));
+	}
+	this.collect(piece, add);
+	return values;
+};
+
+// With the `infobox` option, infoboxes are shown as a list of labelled
+// values, either where they occur or (with 'top') at the top of the
+// article.  Images and navigation links are left out.
+Visitor.prototype.visitInfobox = function(node) {
+	if (this.infoboxes.has(node)) { return; }
+	this.infoboxes.add(node);
+	var infobox = this.infobox = { title: null, rows: [] };
+	var caption = node.querySelector('caption');
+	if (caption) {
+		this.collect(caption, function(contents) {
+			infobox.title = contents.trim() || null;
 		});
-	};
-	while (true) {
-		var m = /\\((?:[A-Za-z]+)|.|)(?:(\{|\[)|\s+)?/.exec(math);
-		if (m === null) {
-			break;
+	}
+	var rows = node.querySelectorAll('tr');
+	for (var i = 0, n = rows.length; i < n; i++) {
+		var row = rows[i];
+		var table = row.parentElement;
+		if (table.nodeName !== 'TABLE') { table = table.parentElement; }
+		if (table !== node || isHidden(row, this.options) ||
+			row.classList.contains('navbar') || row.querySelector('.navbar')) {
+			continue; // part of a nested table, or navigation links
 		}
-		var fname = m[1], args = [];
-		result += math.slice(0, m.index);
-		math = math.slice(m.index + m[0].length);
-		if (m[2]) {
-			var open = 1, last = 0;
-			// find full argument.
-			while (true) {
-				var next = math.slice(last).search(/[{}\[\]]/);
-				if (next < 0) {
-					console.warn('UNTERMINATED MATH ARGUMENT', fname, math);
-					args.push(math);
-					math = '';
-					break;
-				}
-				if ( /[{\[]/.test(math.charAt(last + next)) ) {
-					open++;
-				} else {
-					open--;
-					if (open === 0) {
-						args.push(math.slice(0, last + next));
-						math = math.slice(last + next + 1);
-						last = 0;
-						m = /^\s*[{\[]/.exec(math);
-						if (m === null) {
-							// no more arguments!
-							break;
-						}
-						math = math.slice(m[0].length);
-						open = 1;
-						continue;
-					}
-				}
-				last += next + 1;
+		var cells = [];
+		for (var cell = row.firstElementChild; cell;
+			 cell = cell.nextElementSibling) {
+			if (/^T[DH]$/.test(cell.nodeName) &&
+				!isHidden(cell, this.options)) {
+				cells.push(cell);
 			}
-			// recurse
-			args = args.map(cleanMath);
 		}
-		// lookup the appropriate function
-		if (!funcMap.hasOwnProperty(fname)) {
-			if (!warned.hasOwnProperty(fname)) {
-				console.warn('Unknown math function: '+fname);
-				warned[fname] = true;
+		if (cells.length === 2 && cells[0].nodeName === 'TH') {
+			var label = this.collect(cells[0], function(contents) {
+				return contents.trim();
+			});
+			var value = this.collectValues(cells[1]).join(', ');
+			if (value) {
+				infobox.rows.push({ label: label, value: value });
 			}
-			result += "\\" + fname + args.map(function(a) {
-				return '{' + a + '}';
-			}).join('') + ' ';
+			continue;
+		}
+		var text = cells.map(function(c) {
+			return this.collectValues(c).join(', ');
+		}, this).filter(function(t) { return t; }).join(' ');
+		if (!text) {
+			continue; // just an image
+		}
+		if (!infobox.title && !infobox.rows.length) {
+			infobox.title = text;
+		} else if (cells.every(function(c) { return c.nodeName === 'TH'; })) {
+			infobox.rows.push({ heading: text });
 		} else {
-			result += funcMap[fname].apply(null, args);
+			infobox.rows.push({ value: text });
+		}
+	}
+	this.infobox = null;
+	// drop headings with nothing under them
+	infobox.rows = infobox.rows.filter(function(row, i, rows) {
+		return !(row.heading && (i + 1 === rows.length || rows[i + 1].heading));
+	});
+	if (infobox.title || infobox.rows.length) {
+		this.format.writeInfobox(infobox);
+	}
+};
+
+// images!
+// Helper function -- describe the image in `node` by its alt text, or
+// else by its file name.  Returns null for decorative images.
+var imageName = function(node) {
+	var img = node.querySelector('img');
+	if (!img) { return null; }
+	if (img.hasAttribute('alt')) {
+		return textEscape(img.getAttribute('alt')).trim() || null;
+	}
+	var name = (img.getAttribute('resource') || img.getAttribute('src') || '').
+		replace(/^.*\//, '').replace(/^[^:]*:/, '');
+	try {
+		name = decodeURIComponent(name);
+	} catch (e) { /* leave it encoded */ }
+	return name.replace(/_/g, ' ').trim() || null;
+};
+
+// With the `images` option, figures become a placeholder followed by
+// their caption (or the caption given by a multiple image template).
+// Inline images just leave a placeholder behind.
+Visitor.prototype.visitFIGURE = function(node, extraCaption) {
+	if (!this.options.images || this.infobox) {
+		// skip all figures.
+		return;
+	}
+	var name = imageName(node);
+	var caption = node.querySelector('figcaption') || extraCaption;
+	if (node.nodeName !== 'FIGURE' && !caption) {
+		if (name) {
+			this.format.write(this.format.escape(this.format.figureTag(name)));
 		}
+		return;
 	}
-	return result + subsup(math);
+	this.format.startFigure(name || '');
+	if (caption) { this.visitChildren(caption); }
+	this.format.endFigure();
 };
-var cleanMathTable = function(math) {
-	return math.replace('\\\\', '\n').replace('&', ' ');
+
+// A gallery is a list of its captions.
+Visitor.prototype['visitTYPEOF=mw:Extension/gallery'] = function(node) {
+	if (!this.options.images) {
+		return this.visitChildren(node);
+	}
+	var caption = node.querySelector('.gallerycaption');
+	if (caption) {
+		this.format.paragraphBreak();
+		this.visitChildren(caption);
+		this.format.paragraphBreak();
+	}
+	var boxes = node.querySelectorAll('.gallerybox');
+	if (!boxes.length) { return; }
+	var wasListInfo = this.listInfo;
+	this.listInfo = { type: 'UL', num: 0, depth: wasListInfo.depth + 1 };
+	for (var i = 0, n = boxes.length; i < n; i++) {
+		var name = imageName(boxes[i]);
+		var text = boxes[i].querySelector('.gallerytext');
+		this.format.indent(this.format.listTag(
+			this.listInfo.type, ++this.listInfo.num, this.listInfo.depth
+		), this.listInfo.type);
+		if (name) {
+			this.format.write(this.format.escape(this.format.figureTag(name)));
+			this.format.write(' ');
+		}
+		if (text) {
+			this.collect(text, this.format.write.bind(this.format));
+		}
+		this.format.dedent();
+	}
+	this.listInfo = wasListInfo;
 };
 
 Visitor.prototype['visitTYPEOF=mw:Extension/math'] = function(node, display) {
 	// xxx: sanitize this string the same way the math extension does
 
-	var math = JSON.parse(node.getAttribute('data-mw')).body.extsrc;
-	var m = /^\s*\\begin\s*\{\s*(eqnarray|equation|align|gather|falign|multiline|alignat)[*]?\s*\}([\s\S]*)\\end\s*\{[^\}*]+[*]?\s*\}\s*$/.exec(math);
-	if (m) {
-		// math expression contains its own environment
-		if (/^(array|align|eqnarray)$/.test(m[1])) {
-			math = cleanMathTable(m[2]);
-		} else {
-			math = m[2];
-		}
-		display = true;
+	var tex = JSON.parse(node.getAttribute('data-mw')).body.extsrc;
+	var math = UnicodeMath.parse(tex);
+	// the math expression may contain its own (display) environment
+	this.format.writeMath(math, display || math.display, tex);
+};
+
+// Helper function -- visit `node`, whose text has the directionality
+// `dir` (which differs from that of the surrounding text).  Block-level
+// elements set the paragraph direction; anything else is an isolated
+// span of text (if the formatter knows how).
+Visitor.prototype.visitDirection = function(node, dir) {
+	var r;
+	// collect() has no room for paragraphs
+	if (BLOCK_ELEMENTS.test(node.nodeName) && this.format.lineWidth()) {
+		var wasDir = this.format.setDirection(dir);
+		r = this.visit(node);
+		this.format.setDirection(wasDir);
+		return r;
 	}
-	this.format.write(cleanMath(math));
-	if (display) { this.format.lineBreak(); }
+	var marks = this.format.markup('dir', dir);
+	if (marks) { this.format.write(marks[0]); }
+	r = this.visit(node);
+	if (marks) { this.format.write(marks[1]); }
+	return r;
 };
 
 Visitor.prototype['visitLANG='] = function(node) {
@@ -801,9 +901,11 @@ Visitor.prototype['visitLANG='] = function(node) {
 	var poly = Polyglossia.lookup(lang);
 	this.currentLanguage = lang;
 	this.currentDirectionality = poly.dir;
-	// XXX emit an explicit directionality cue
-	r = this.visit(node);
-	// XXX pop the directionality cue
+	if (poly.dir !== savedDirectionality) {
+		r = this.visitDirection(node, poly.dir);
+	} else {
+		r = this.visit(node);
+	}
 	this.currentLanguage = savedLanguage;
 	this.currentDirectionality = savedDirectionality;
 	return r;
@@ -815,9 +917,7 @@ Visitor.prototype['visitDIR='] = function(node) {
 	var dir = node.getAttribute('dir');
 	console.warn("Using non-standard DIR", this.currentLanguage, this.currentDirectionality, '->', dir);
 	this.currentDirectionality = dir;
-	// XXX emit an explicit directionality cue
-	r = this.visit(node);
-	// XXX pop the directionality cue
+	r = this.visitDirection(node, dir);
 	this.currentDirectionality = savedDirectionality;
 	return r;
 };
@@ -855,28 +955,20 @@ Visitor.prototype.visitDIV = function(node) {
 // ---------------------------------------------------------------------
 // Bundle and file processing
 
-// Helper: hard link a directory, recursively.
-var cprl = function(from, to) {
-	return P.call(fs.mkdir, fs, to).then(function() {
-		return P.call(fs.readdir, fs, from);
-	}).map(function(file) {
-		var pathfrom = path.join(from, file);
-		var pathto   = path.join(to,   file);
-		return P.call(fs.lstat, fs, pathfrom).then(function(stats) {
-			if (stats.isFile()) {
-				return P.call(fs.link, fs, pathfrom, pathto);
-			}
-			if (stats.isDirectory()) {
-				return cprl(pathfrom, pathto);
-			}
-			// ignore other file types (symlink, block device, etc)
-		});
-	});
+// Read the metabook.json file of the bundle in `dir`.
+var readMetabook = function(dir) {
+	return P.call(
+		fs.readFile, fs, path.join(dir, 'metabook.json'), { encoding: 'utf8' }
+	).then(JSON.parse);
 };
 
-// Step 1a: unpack a bundle, and return a promise for the builddir.
+// Step 1a: we were given a zip file.  Read metabook.json straight from
+// the archive, and extract only the sqlite databases (which need to be
+// real files) into a temporary directory.  Returns a promise for the
+// directory holding the databases, and the metabook; the directory is
+// also the `scratch` space, to be removed afterwards.
 var unpackBundle = function(options) {
-	var metabook, builddir, status = options.status;
+	var zip, metabook, builddir, status = options.status;
 
 	status.createStage(0, 'Unpacking content bundle');
 
@@ -887,56 +979,167 @@ var unpackBundle = function(options) {
 		unsafeCleanup: !(options.debug)
 	}).then(function(_builddir) {
 		builddir = _builddir;
-		// make bundle and output subdirs
-		return Promise.join(
-			P.call(fs.mkdir, fs, path.join(builddir, 'bundle')),
-			P.call(fs.mkdir, fs, path.join(builddir, 'output'))
-		);
-	}).then(function() {
-		// now unpack the zip archive
-		var bundledir = path.join(builddir, 'bundle');
-		return P.spawn('unzip', [ path.resolve( options.bundle ) ], {
-			cwd: bundledir
+		return ZipFile.open(path.resolve(options.bundle));
+	}).then(function(_zip) {
+		zip = _zip;
+		return zip.read('metabook.json').then(function(data) {
+			metabook = JSON.parse(data.toString('utf8'));
+			return Promise.map(['parsoid.db', 'siteinfo.db'], function(name) {
+				return zip.extract(name, path.join(builddir, name));
+			});
+		}).finally(function() {
+			return zip.close();
 		});
 	}).then(function() {
-		return builddir;
+		return { bundledir: builddir, scratch: builddir, metabook: metabook };
+	}).catch(function(err) {
+		if (!builddir || options.debug) { throw err; }
+		return P.removeDir(builddir).catch(function() {}).then(function() {
+			throw err;
+		});
 	});
 };
 
-// Step 1b: we were given a bundle directory.  Create a tmpdir and then
-// hard link the bundle directory into it.  Be sure your TMPDIR is
-// on the same filesystem as the provided bundle directory if you
-// want this to be fast.
-var hardlinkBundle = function(options) {
-	var builddir, status = options.status;
+// Step 1b: we were given a bundle directory.  We only ever read from
+// it (and open the databases read-only), so use it in place.
+var openBundleDir = function(options) {
+	var bundledir = path.resolve(options.bundle);
+	options.status.createStage(0, 'Reading content bundle');
+	return readMetabook(bundledir).then(function(metabook) {
+		return { bundledir: bundledir, metabook: metabook };
+	});
+};
 
-	status.createStage(0, 'Creating work space');
-	// first create a temporary directory
-	return P.call(tmp.dir, tmp, {
-		prefix: json.name,
-		dir: options.tmpdir,
-		unsafeCleanup: !(options.debug)
-	}).then(function(_builddir) {
-		builddir = _builddir;
-		// make output subdir
-		return Promise.join(
-			// make latex subdir
-			P.call(fs.mkdir, fs, path.join(builddir, 'output')),
-			// hardlink bundledir into 'bundle'
-			cprl(path.resolve( options.bundle ), path.join(builddir, 'bundle')).
-				catch(function(e) {
-					// slightly helpful diagnostics
-					if (e.code === 'EXDEV') {
-						throw new Error(
-							"TMPDIR must be on same filesystem as bundle dir"
-						);
-					}
-					throw e;
-				})
-		);
-	}).then(function() {
-		return builddir;
+// Output formats, by name.
+var FORMATS = {
+	text: Formatter,
+	markdown: MarkdownFormatter,
+	json: JsonFormatter
+};
+
+// Which links are listed after each article (with the `links` option).
+var LINKS = [ 'all', 'external' ];
+// Where infoboxes are shown (with the `infobox` option).
+var INFOBOX = [ 'inline', 'top' ];
+// Decorations for headings in plain text (see formatter.js).
+var HEADING_STYLES = [ 'underline', 'boxed', 'caps' ];
+// How spans of text in another direction are marked (see formatter.js).
+var BIDI = [ 'isolate', 'embed', 'none' ];
+// How the lines of a list item after the first are indented: under the
+// text of the item ('hang'), or under its tag ('flush').
+var LIST_INDENT = [ 'hang', 'flush' ];
+// The box drawing characters tables are drawn with (see table.js).
+var TABLE_STYLES = [ 'ascii', 'unicode' ];
+// How preformatted text is marked, and what is done with lines which are
+// too long (see formatter.js).
+var CODE_STYLES = [ 'plain', 'fence', 'gutter' ];
+var LONG_LINES = [ 'overflow', 'cut', 'fold' ];
+// How display math is laid out (see formatter.js).
+var MATH_LAYOUTS = [ 'linear', '2d' ];
+// Markers for italics (with the `lightMarkup` option).
+var ITALIC = [ '/', '_' ];
+
+// Check that `value` is a positive integer, and return it as a number.
+var checkNumber = function(value, what) {
+	var n = Number(value);
+	if (!(n >= 1 && n === Math.floor(n))) {
+		throw new Error('Invalid ' + what + ': ' + value);
+	}
+	return n;
+};
+
+// Whether an option was given (zero counts, so that it can be rejected).
+var isSet = function(value) {
+	return value !== undefined && value !== null;
+};
+
+// Check the options which control the layout of plain text, and fill in
+// the defaults.  `columns` may be 'auto', for the width of the terminal
+// (when we are writing to one).
+var checkLayout = function(options) {
+	var columns = isSet(options.columns) ? options.columns :
+		options.column; // the old name
+	if (columns === 'auto') {
+		columns = (!options.output && process.stdout.isTTY) ?
+			process.stdout.columns : null;
+	}
+	options.columns = isSet(columns) ? checkNumber(columns, 'column width') :
+		75;
+	options.tabWidth = isSet(options.tabWidth) ?
+		checkNumber(options.tabWidth, 'tab width') : 2;
+	options.minWidth = isSet(options.minWidth) ?
+		checkNumber(options.minWidth, 'minimum line width') :
+		Math.min(20, options.columns);
+	if (options.minWidth > options.columns) {
+		throw new Error('Minimum line width (' + options.minWidth +
+			') is more than the column width (' + options.columns + ')');
+	}
+	if (options.listIndent && LIST_INDENT.indexOf(options.listIndent) < 0) {
+		throw new Error('Unknown list indent style: ' + options.listIndent);
+	}
+	if (options.tableStyle && TABLE_STYLES.indexOf(options.tableStyle) < 0) {
+		throw new Error('Unknown table style: ' + options.tableStyle);
+	}
+};
+
+// How many articles are fetched and rendered ahead of the output.
+var WINDOW = 8;
+
+// Check the conversion options, and fill in the defaults.
+var checkOptions = function(options) {
+	if (!FORMATS.hasOwnProperty(options.format || 'text')) {
+		throw new Error('Unknown output format: ' + options.format);
+	}
+	if (options.links && LINKS.indexOf(options.links) < 0) {
+		throw new Error('Unknown link mode: ' + options.links);
+	}
+	if (options.infobox && INFOBOX.indexOf(options.infobox) < 0) {
+		throw new Error('Unknown infobox position: ' + options.infobox);
+	}
+	if (options.bidi && BIDI.indexOf(options.bidi) < 0) {
+		throw new Error('Unknown bidi style: ' + options.bidi);
+	}
+	(options.headingStyle || '').split(',').forEach(function(style) {
+		if (style && HEADING_STYLES.indexOf(style) < 0) {
+			throw new Error('Unknown heading style: ' + style);
+		}
 	});
+	if (options.codeStyle && CODE_STYLES.indexOf(options.codeStyle) < 0) {
+		throw new Error('Unknown code style: ' + options.codeStyle);
+	}
+	if (options.longLines && LONG_LINES.indexOf(options.longLines) < 0) {
+		throw new Error('Unknown long line mode: ' + options.longLines);
+	}
+	if (options.mathLayout && MATH_LAYOUTS.indexOf(options.mathLayout) < 0) {
+		throw new Error('Unknown math layout: ' + options.mathLayout);
+	}
+	if (options.lightMarkup === true) {
+		options.lightMarkup = ITALIC[0];
+	}
+	if (options.lightMarkup && ITALIC.indexOf(options.lightMarkup) < 0) {
+		throw new Error('Unknown italic marker: ' + options.lightMarkup);
+	}
+	options.window = isSet(options.window) ?
+		checkNumber(options.window, 'window size') : WINDOW;
+	options.workers = (isSet(options.workers) && +options.workers !== 0) ?
+		checkNumber(options.workers, 'number of workers') : 0;
+	if (options.pruneCache) {
+		if (!options.cache) {
+			throw new Error('Pruning needs a cache file');
+		}
+		options.pruneCache = checkNumber(options.pruneCache, 'number of days');
+	}
+	checkLayout(options);
+};
+
+// Give up, if the `cancelled` option says to.  This is checked between
+// articles.
+var checkCancelled = function(options) {
+	if (options.cancelled && options.cancelled()) {
+		var err = new Error('Conversion cancelled');
+		err.cancelled = true;
+		throw err;
+	}
 };
 
 // count total # of items (used for status reporting)
@@ -946,14 +1149,99 @@ var countItems = function(item) {
 	}, 1);
 };
 
+// Write the article in `document` (a Parsoid DOM) to `format`, with
+// its title as a heading.  `info` describes the article (as for
+// `Formatter#startArticle`), and `book` the collection it is part of:
+// whether it has chapters or just a single item, and its language.
+// Returns the Visitor used.
+var writeArticle = function(format, document, info, book, options) {
+	var base = '';
+	var baseElem = document.querySelector('head > base[href]');
+	if (baseElem) {
+		base = baseElem.getAttribute('href').replace(/^\/\//, 'https://');
+	}
+	format.startArticle(info);
+	var visitor = new Visitor(document, format, {
+		base: base,
+		noWrap: options.noWrap,
+		noRefs: options.noRefs,
+		tableStyle: options.tableStyle,
+		links: options.links,
+		images: options.images,
+		infobox: options.infobox,
+		singleItem: book.singleItem,
+		hasChapters: book.hasChapters,
+		lang: book.lang,
+		dir: Polyglossia.lookup(book.lang).dir
+	});
+	var h1 = document.createElement('h1');
+	var span = document.createElement('span');
+	h1.appendChild(span);
+	span.textContent = info.title;
+	span.lang = info.lang;
+	visitor.visit(h1); // emit document title!
+	document.body.lang = document.body.lang || info.lang;
+	visitor.visit(document.body);
+	if (visitor.links.length) {
+		format.writeLinks(visitor.links, info.level + 1);
+	}
+	format.endArticle();
+	return visitor;
+};
+
+// A stream (as far as the formatters are concerned) which collects what
+// is written to it in `chunks`.
+var makeBuffer = function() {
+	return {
+		chunks: [],
+		write: function(chunk, encoding, callback) {
+			this.chunks.push(chunk);
+			if (callback) { callback(); }
+			return true;
+		}
+	};
+};
+
+// Return a formatter for the `pass`: 'toc' to collect the headings for
+// the table of contents, or 'output' to write to `out`.
+var makeFormat = function(pass, out, options) {
+	return (pass === 'toc') ? new TocFormatter(options) :
+		new FORMATS[options.format || 'text'](out, options);
+};
+
+// Return a promise for the rendering of an article (its Parsoid `html`,
+// described by `info` and `book`, as for writeArticle) by a formatter of
+// its own for the `pass`, started in the formatter state `state`: the
+// text, the state the formatter is left in, the table of contents
+// entries, and the languages used.  This is what the worker processes
+// do (see pool.js), so everything here is JSON-able.
+var renderArticle = function(pass, html, info, book, state, options) {
+	var buffer = makeBuffer();
+	var format = makeFormat(pass, buffer, options);
+	format.setState(state);
+	var visitor = writeArticle(
+		format, domino.createDocument(html), info, book, options
+	);
+	var languages = [];
+	visitor.usedLanguages.forEach(function(l) { languages.push(l); });
+	return format.flush().then(function() {
+		return {
+			text: buffer.chunks.join(''),
+			state: format.getState(),
+			entries: format.entries || [],
+			languages: languages
+		};
+	});
+};
+
 // Return an empty promise after the output.txt file has been written.
-var generateOutput = function(metabook, builddir, options) {
+var generateOutput = function(metabook, bundledir, options) {
 	var status = options.status;
 	status.createStage(countItems(metabook), 'Processing collection');
 	status.report(null, metabook.title);
 
 	// create output stream
-	var writeStream;
+	var writeStream, ended = false;
 	if (options.output) {
 		writeStream = fs.createWriteStream(options.output);
 	} else {
@@ -975,86 +1263,246 @@ var generateOutput = function(metabook, builddir, options) {
 	var usedLanguages = new Set();
 	usedLanguages.add(collectionLanguage);
 
-	var format = new Formatter(writeStream, options);
-
-	// emit title, subtitle, etc.
-	var title = metabook.title;
-	if (!title && metabook.items.length === 1) {
-		title = metabook.items[0].title;
-	}
-	format.writeTitle(
-		textEscape(title).replace(/\s+/g, ' '),
-		metabook.subtitle ? textEscape(metabook.subtitle).replace(/\s+/g, ' ')
-			: null
-	);
+	// The formatter writes into `sink`; what it has written is passed on
+	// to the output stream (in order) with `emit`, after each article.
+	var sink = makeBuffer();
+	var output = Promise.resolve();
+	// Returns a promise which is resolved once all the text emitted so far
+	// has been written.
+	var emit = function() {
+		var text = sink.chunks.join('');
+		sink.chunks.length = 0;
+		if (text) {
+			output = output.then(function() {
+				return P.call(writeStream.write, writeStream, text, 'utf8');
+			});
+		}
+		return output;
+	};
 
-	if (metabook.summary) {
-		format.writeSummary(textEscape(metabook.summary).replace(/\s+/g, ' '));
-	}
+	var format = makeFormat('output', sink, options);
+	var articleLevel = hasChapters ? 1 : 0;
+	var clean = function(text, f) {
+		return (f || format).escape(textEscape(text).replace(/\s+/g, ' '));
+	};
 
+	var cache = options.cache ? new Cache(options.cache, options) : null;
 	var pdb = new Db(
-		path.join(builddir, 'bundle', 'parsoid.db'), { readonly: true }
+		path.join(bundledir, 'parsoid.db'), { readonly: true }
 	);
 	var sidb = new Db(
-		path.join(builddir, 'bundle', 'siteinfo.db'), { readonly: true }
+		path.join(bundledir, 'siteinfo.db'), { readonly: true }
 	);
-	var write = {};
-	write.article = function(item) {
-		console.assert(item.type === 'article');
-		status.report('Processing article', item.title);
-		var revid = item.revision;
-		var document, base = '', articleLanguage;
-		var key = (item.wiki ? (item.wiki+'|') : '') + revid;
-		return pdb.get(key, 'nojson').then(function(data) {
-			document = domino.createDocument(data);
-			var baseElem = document.querySelector('head > base[href]');
-			if (baseElem) {
-				base = baseElem.getAttribute('href').
-					replace(/^\/\//, 'https://');
-			}
-		}).then(function() {
+	// Return a promise for the Parsoid HTML and the language of `item`.
+	var fetchArticle = function(item) {
+		var key = (item.wiki ? (item.wiki+'|') : '') + item.revision;
+		return Promise.join(
+			pdb.get(key, 'nojson'),
 			// get the siteinfo for the article's wiki
-			return sidb.get(metabook.wikis[item.wiki].baseurl);
-		}).then(function(siteinfo) {
-			articleLanguage = siteinfo.general.lang || collectionLanguage;
-		}).then(function() {
-			var visitor = new Visitor(document, format, {
-				base: base,
-				noWrap: options.noWrap,
-				noRefs: options.noRefs,
-				singleItem: singleItem,
-				hasChapters: hasChapters,
-				lang: collectionLanguage,
-				dir: Polyglossia.lookup(collectionLanguage).dir
+			sidb.get(metabook.wikis[item.wiki].baseurl)
+		).then(function(results) {
+			return {
+				html: results[0],
+				lang: results[1].general.lang || collectionLanguage
+			};
+		});
+	};
+	// All the articles, in order.
+	var articles = [];
+	metabook.items.forEach(function(item) {
+		articles.push.apply(
+			articles, item.type === 'chapter' ? item.items : [ item ]
+		);
+	});
+
+	// The collection-wide details passed to writeArticle, and the details
+	// of the article `item` (written in language `lang`).
+	var book = {
+		singleItem: singleItem,
+		hasChapters: hasChapters,
+		lang: collectionLanguage
+	};
+	var articleInfo = function(item, lang) {
+		var wiki = metabook.wikis[item.wiki] || {};
+		return {
+			title: item.title,
+			revision: item.revision,
+			wiki: wiki.prefix || wiki.baseurl,
+			url: item.url,
+			lang: lang,
+			level: articleLevel
+		};
+	};
+	// Render the articles in worker processes, if asked to.  They are
+	// passed the options which can be (not the callbacks, or the status
+	// reporter).
+	var pool = options.workers ?
+		new Pool(Math.min(options.workers, articles.length)) : null;
+	var workerOptions = pool && JSON.parse(JSON.stringify(
+		options, function(key, value) {
+			return (this === options && key === 'status') ? undefined : value;
+		}
+	));
+	// Return a promise for the rendering of the article `item` (fetched
+	// as `article`) for the `pass`, started in `state` (see
+	// renderArticle), from the cache if it's there.
+	var render = function(pass, item, article, state) {
+		checkCancelled(options);
+		var info = articleInfo(item, article.lang);
+		var key = cache && cache.key([
+			pass, (metabook.wikis[item.wiki] || {}).baseurl, info, book, state
+		]);
+		return (cache ? cache.get(key) : Promise.resolve(null))
+			.then(function(entry) {
+				if (entry) { return entry; }
+				var args = [pass, article.html, info, book, state];
+				return (pool ? pool.render(args.concat([workerOptions])) :
+						renderArticle.apply(null, args.concat([options])))
+					.then(function(result) {
+						entry = result;
+						return cache ? cache.put(key, entry) : null;
+					}).then(function() {
+						return entry;
+					});
 			});
-			var h1 = document.createElement('h1');
-			var span = document.createElement('span');
-			h1.appendChild(span);
-			span.textContent = item.title;
-			span.lang = articleLanguage;
-			visitor.visit(h1); // emit document title!
-			document.body.lang = document.body.lang || articleLanguage;
-			visitor.visit(document.body);
-			visitor.usedLanguages.forEach(function(l){ usedLanguages.add(l); });
-			format.paragraphBreak();
-			// wait for buffer to empty before continuing
-			// (ensure we don't end up buffering the entire collection!)
-			return format.flush();
+	};
+
+	// Return the state each article should start in, if the formatter
+	// starts the articles in `state`.  This writes the collection with
+	// just the title of each article, which leaves the state (the
+	// heading numbers, in particular) as the whole article would.
+	var predictStates = function(pass, state) {
+		var format = makeFormat(pass, makeBuffer(), options), states = [];
+		format.setState(state);
+		var writeTitle = function(item) {
+			states.push(format.getState());
+			writeArticle(
+				format, domino.createDocument(''),
+				articleInfo(item, collectionLanguage), book, options
+			);
+			format.flush(); // the buffer is written synchronously
+		};
+		metabook.items.forEach(function(item) {
+			if (item.type !== 'chapter') { return writeTitle(item); }
+			format.startChapter(clean(item.title, format));
+			item.items.forEach(writeTitle);
+			format.endChapter();
 		});
+		return states;
 	};
-	write.chapter = function(item) {
-		console.assert(item.type === 'chapter');
-		status.report('Processing chapter', item.title);
-		format.writeHeading(0, textEscape(item.title));
-		return P.forEachSeq(item.items, write.article);
+
+	// Write the articles and chapters of the collection to `format`, for
+	// the `pass`: 'output', or 'toc' for a first pass to collect the
+	// table of contents.  Each article is rendered with a formatter of its
+	// own, as soon as it has been fetched, in the state it is predicted to
+	// start in; with worker processes, several are rendered at once.  They
+	// are then put together in order, and each is passed on to the output
+	// as soon as it is written.  (An article which turns out to start in
+	// another state is rendered again.)  At most `options.window` articles
+	// are fetched but not yet written out, which bounds the memory used.
+	var writeItems = function(format, pass) {
+		var report = (pass === 'output');
+		var states = predictStates(pass, format.getState());
+		var fetched = [], rendered = [], fetching = 0, writing = 0;
+		var fetchNext = function() {
+			if (fetching < articles.length) {
+				var n = fetching++;
+				fetched[n] = fetchArticle(articles[n]);
+				rendered[n] = fetched[n].then(function(article) {
+					return render(pass, articles[n], article, states[n]);
+				});
+				// errors are reported when we get to the article
+				rendered[n].catch(function() {});
+			}
+		};
+		while (fetching < options.window && fetching < articles.length) {
+			fetchNext();
+		}
+		var write = {};
+		write.article = function(item) {
+			console.assert(item.type === 'article');
+			var n = writing++;
+			return rendered[n].then(function(entry) {
+				checkCancelled(options);
+				if (report) { status.report('Processing article', item.title); }
+				var state = format.getState();
+				if (JSON.stringify(state) === JSON.stringify(states[n])) {
+					return entry;
+				}
+				return fetched[n].then(function(article) {
+					return render(pass, item, article, state);
+				});
+			}).then(function(entry) {
+				fetched[n] = rendered[n] = null; // let them be garbage collected
+				sink.write(entry.text);
+				format.setState(entry.state);
+				if (format.entries) {
+					format.entries.push.apply(format.entries, entry.entries);
+				}
+				entry.languages.forEach(function(l) {
+					usedLanguages.add(l);
+				});
+				// once this article has been written out, start on another
+				// (any error writing is reported at the end); if the next
+				// one isn't being fetched yet, wait for that
+				var written = emit().then(fetchNext, fetchNext);
+				if (writing === fetching) { return written; }
+			});
+		};
+		write.chapter = function(item) {
+			console.assert(item.type === 'chapter');
+			if (report) { status.report('Processing chapter', item.title); }
+			format.startChapter(clean(item.title, format));
+			return P.forEachSeq(item.items, write.article).then(function() {
+				format.endChapter();
+			});
+		};
+		return P.forEachSeq(metabook.items, function(item) {
+			return write[item.type](item);
+		});
 	};
 
-	return P.forEachSeq(metabook.items, function(item) {
-		return write[item.type](item);
+	var toc = options.toc ? makeFormat('toc', null, options) : null;
+	return Promise.resolve().then(function() {
+		// first pass: collect the headings for the table of contents
+		if (toc) { return writeItems(toc, 'toc'); }
+	}).then(function() {
+		// emit title, subtitle, etc.
+		var title = metabook.title;
+		if (!title && metabook.items.length === 1) {
+			title = metabook.items[0].title;
+		}
+		format.writeTitle(
+			clean(title),
+			metabook.subtitle ? clean(metabook.subtitle) : null
+		);
+
+		if (metabook.summary) {
+			format.writeSummary(clean(metabook.summary));
+		}
+		if (toc) {
+			format.writeToc(toc.entries);
+		}
+		return writeItems(format, 'output');
+	}).then(function() {
+		return format.finish();
 	}).then(function() {
-		return format.flush();
+		return emit();
 	}).then(function() {
 		return P.call(writeStream.end, writeStream, '');
+	}).then(function() {
+		ended = true;
+		if (cache && options.pruneCache) {
+			return cache.prune(options.pruneCache);
+		}
+	}).finally(function() {
+		// don't leave the output file open if we failed or were cancelled
+		// (the service runs conversions in a long-lived process)
+		if (options.output && !ended) { writeStream.destroy(); }
+		return Promise.join(
+			pdb.close(), sidb.close(), cache ? cache.close() : null,
+			pool ? pool.close() : null
+		).catch(function() {});
 	});
 };
 
@@ -1067,32 +1515,36 @@ var convert = function(options) {
 			var file = msg.file ? (': ' + msg.file) : '';
 			options.log('['+msg.percent.toFixed()+'%]', msg.message + file);
 		}
+		if (options.progress) {
+			options.progress(msg);
+		}
 	});
-	var metabook, builddir;
+	var metabook, bundledir, scratch;
 	return Promise.resolve().then(function() {
+		checkOptions(options);
 		// were we given a zip file or a directory?
 		return P.call(fs.stat, fs, options.bundle);
 	}).then(function(stat) {
 		if (stat.isDirectory()) {
-			// create a workspace and hard link the provided directory
-			return hardlinkBundle(options);
+			// read the provided directory in place
+			return openBundleDir(options);
 		} else {
 			// unpack the bundle
 			return unpackBundle(options);
 		}
-	}).then(function(_builddir) {
-		builddir = _builddir;
-		// read the main metabook.json file
-		return P.call(
-			fs.readFile, fs,
-			path.join(builddir, 'bundle', 'metabook.json'),
-			{ encoding: 'utf8' }
-		).then(function(data) {
-			metabook = JSON.parse(data);
-		});
+	}).then(function(bundle) {
+		bundledir = bundle.bundledir;
+		scratch = bundle.scratch;
+		metabook = bundle.metabook;
 	}).then(function() {
+		checkCancelled(options);
 		// generate the plaintext
-		return generateOutput(metabook, builddir, options);
+		return generateOutput(metabook, bundledir, options);
+	}).finally(function() {
+		// don't leave the unpacked bundle about (in a long-running process)
+		if (scratch && !options.debug) {
+			return P.removeDir(scratch).catch(function() {});
+		}
 	}).then(function() {
 		status.createStage(0, 'Done');
 		return; // success!
@@ -1106,8 +1558,60 @@ var convert = function(options) {
 	});
 };
 
+// Return a promise for the text of the single Parsoid HTML document
+// `html`.  The options are as for `convert`, plus `title` (the article
+// title) and `stream` (a stream to write the output to instead, in
+// which case the promise resolves with no value; the stream isn't
+// ended).
+var convertHtml = function(html, options) {
+	options = Object.assign({}, options);
+	var chunks = [], writeStream = options.stream;
+	if (!writeStream) {
+		writeStream = new stream.Writable({ decodeStrings: true });
+		writeStream._write = function(chunk, encoding, callback) {
+			chunks.push(chunk);
+			callback();
+		};
+	}
+	return Promise.resolve().then(function() {
+		checkOptions(options);
+		var document = domino.createDocument(html);
+		var lang = options.lang || document.body.lang ||
+			document.documentElement.lang || 'en';
+		var title = options.title || '';
+		var format = new FORMATS[options.format || 'text'](writeStream, options);
+		var clean = function(text, f) {
+			return (f || format).escape(textEscape(text).replace(/\s+/g, ' '));
+		};
+		var write = function(format) {
+			writeArticle(format, document, {
+				title: title,
+				lang: lang,
+				level: 0
+			}, {
+				singleItem: true,
+				hasChapters: false,
+				lang: lang
+			}, options);
+		};
+		var toc = options.toc ? new TocFormatter(options) : null;
+		if (toc) { write(toc); }
+		if (title) { format.writeTitle(clean(title), null); }
+		if (toc) { format.writeToc(toc.entries); }
+		write(format);
+		return format.finish();
+	}).then(function() {
+		if (!options.stream) {
+			return Buffer.concat(chunks).toString('utf8');
+		}
+	});
+};
+
 module.exports = {
 	name: json.name, // package name
 	version: json.version, // version # for this package
-	convert: convert
+	formats: Object.keys(FORMATS), // supported output formats
+	convert: convert,
+	convertHtml: convertHtml,
+	renderArticle: renderArticle // for the worker processes
 };
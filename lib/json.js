@@ -0,0 +1,374 @@
+// Structured (JSON) formatter.
+// ---------------------------------------------------------------------
+"use strict";
+require('es6-shim');
+
+var util = require('util');
+
+var Formatter = require('./formatter');
+var UnicodeMath = require('./unicodemath');
+
+// Collapse whitespace within lines, and drop empty lines.
+var collapse = function(text) {
+	return text.split('\n').map(function(line) {
+		return line.replace(/\s+/g, ' ').trim();
+	}).filter(function(line) { return line; }).join('\n');
+};
+
+/** Emits the collection as a JSON document: chapters and articles, each
+ * article split into a tree of sections, each section holding a list of
+ * blocks (paragraphs, lists, quotes, math, infoboxes, ...) with their
+ * plain text.  Articles are written out as soon as they are complete.
+ */
+var JsonFormatter = module.exports = function(outStream, options) {
+	Formatter.call(this, outStream, options);
+	this.book = {};
+	this.started = false;
+	this.first = [ true ]; // have we written an item at this nesting level?
+	this.article = null;
+	this.sections = [];
+	this.depth = 0;
+	this.block = null;
+	this.text = [];
+};
+util.inherits(JsonFormatter, Formatter);
+
+// Write `str` to the output stream, with a separator if this isn't the
+// first item in the current JSON array.
+JsonFormatter.prototype._writeItem = function(str) {
+	var top = this.first.length - 1;
+	this._write((this.first[top] ? '\n' : ',\n') + str);
+	this.first[top] = false;
+};
+
+// Write the collection metadata, which precedes all the items.
+JsonFormatter.prototype._start = function() {
+	if (this.started) { return; }
+	this.started = true;
+	var header = JSON.stringify(Object.assign(this.book, { items: [] }));
+	this._write(header.slice(0, -2)); // leave the items array open
+};
+
+// Return the accumulated text, and reset the buffer.
+JsonFormatter.prototype._takeText = function() {
+	var text = collapse(this.text.join(''));
+	this.text.length = 0;
+	return text;
+};
+
+// Add a block to the current section (or the article lead).
+JsonFormatter.prototype._addBlock = function(block) {
+	var top = this.sections[this.sections.length - 1] || this.article;
+	if (top) { top.blocks.push(block); }
+};
+
+// Any text written at the top level makes up a paragraph.
+JsonFormatter.prototype._endParagraph = function() {
+	if (this.depth) { return; }
+	var text = this._takeText();
+	if (text) {
+		this._addBlock({ type: 'paragraph', text: text });
+	}
+	this.block = null;
+};
+
+JsonFormatter.prototype.finish = function() {
+	this._start();
+	this._write('\n]}\n');
+	return this.flush();
+};
+JsonFormatter.prototype.flush = function() {
+	return new Promise(function(resolve, reject) {
+		this.outStream.write('', 'utf8', function() {
+			resolve();
+		});
+	}.bind(this));
+};
+
+// The collection metadata is written before the first article, so
+// until then it is part of the state.
+JsonFormatter.prototype.getState = function() {
+	var state = Formatter.prototype.getState.call(this);
+	state.first = this.first.slice();
+	state.started = this.started;
+	if (!this.started) { state.book = this.book; }
+	return state;
+};
+JsonFormatter.prototype.setState = function(state) {
+	Formatter.prototype.setState.call(this, state);
+	this.first = state.first.slice();
+	this.started = state.started;
+	if (!this.started) { this.book = state.book; }
+};
+
+JsonFormatter.prototype.startChapter = function(title) {
+	this.articleLevel = 1; // articles are within chapters
+	var number = this.headingNumber(0);
+	this._start();
+	this._writeItem(JSON.stringify({
+		type: 'chapter',
+		number: number || undefined,
+		title: title,
+		items: []
+	}).slice(0, -2)); // leave the items array open
+	this.first.push(true);
+};
+JsonFormatter.prototype.endChapter = function() {
+	this.first.pop();
+	this._write('\n]}');
+};
+
+JsonFormatter.prototype.startArticle = function(info) {
+	this._start();
+	this.article = {
+		type: 'article',
+		number: undefined, // filled in by the heading
+		title: info.title,
+		revision: info.revision,
+		wiki: info.wiki,
+		url: info.url,
+		lang: info.lang,
+		blocks: [],
+		sections: []
+	};
+	this.articleLevel = info.level;
+	this.sections = [];
+	this.depth = 0;
+	this.block = null;
+	this.text.length = 0;
+};
+JsonFormatter.prototype.endArticle = function() {
+	this._endParagraph();
+	this._writeItem(JSON.stringify(this.article));
+	this.article = null;
+	this.sections = [];
+};
+
+JsonFormatter.prototype.writeTitle = function(title, subtitle) {
+	this.book.title = title.trim();
+	if (subtitle) {
+		this.book.subtitle = subtitle.trim();
+	}
+};
+JsonFormatter.prototype.writeSummary = function(summary) {
+	this.book.summary = summary.trim();
+};
+JsonFormatter.prototype.writeToc = function(entries) {
+	this.book.contents = entries;
+};
+
+JsonFormatter.prototype.writeHeading = function(level, heading) {
+	var number = this.headingNumber(level);
+	this._endParagraph();
+	if (!this.article) { return; }
+	if (level <= this.articleLevel) {
+		// the article title; we already have it
+		if (number) { this.article.number = number; }
+		return;
+	}
+	var section = {
+		number: number || undefined,
+		title: heading.replace(/\s+/g, ' ').trim(),
+		level: level - this.articleLevel,
+		blocks: [],
+		sections: []
+	};
+	while (this.sections.length &&
+		   this.sections[this.sections.length - 1].level >= section.level) {
+		this.sections.pop();
+	}
+	var parent = this.sections[this.sections.length - 1] || this.article;
+	parent.sections.push(section);
+	this.sections.push(section);
+};
+
+JsonFormatter.prototype.writeMath = function(math, display, tex) {
+	var text = UnicodeMath.linear(math);
+	if (!display || this.depth) {
+		return this.write(text);
+	}
+	this._endParagraph();
+	this._addBlock({ type: 'math', text: collapse(text), tex: tex.trim() });
+};
+
+JsonFormatter.prototype.writeTable = function(table) {
+	if (this.depth) {
+		return Formatter.prototype.writeTable.call(this, table);
+	}
+	this._endParagraph();
+	var rows = table.matrix();
+	var block = {
+		type: 'table',
+		text: rows.map(function(row) { return row.join('\t'); }).join('\n'),
+		rows: rows,
+		headerRows: rows.headerRows
+	};
+	if (table.caption) { block.caption = table.caption; }
+	this._addBlock(block);
+};
+
+// Infoboxes are blocks of their own, with the rows as label/value pairs.
+JsonFormatter.prototype.writeInfobox = function(infobox) {
+	if (this.depth) {
+		return Formatter.prototype.writeInfobox.call(this, infobox);
+	}
+	this._endParagraph();
+	this._addBlock({
+		type: 'infobox',
+		title: infobox.title,
+		text: infobox.rows.map(function(row) {
+			return row.heading ||
+				(row.label ? (row.label + ': ' + row.value) : row.value);
+		}).join('\n'),
+		rows: infobox.rows
+	});
+};
+
+// The numbered links are a property of the article.
+JsonFormatter.prototype.writeLinks = function(links, level) {
+	/* jshint unused: vars */
+	this._endParagraph();
+	if (this.article) { this.article.links = links; }
+};
+
+JsonFormatter.prototype.writeBlock = function(lines) {
+	if (this.depth) {
+		return this.write(lines.join('\n'));
+	}
+	this._endParagraph();
+	this._addBlock({ type: 'preformatted', text: lines.join('\n') });
+};
+
+JsonFormatter.prototype.writeCode = function(lines, lang) {
+	if (this.depth) {
+		this.lineBreak();
+		this.write(lines.join('\n'));
+		this.lineBreak();
+		return;
+	}
+	this._endParagraph();
+	this._addBlock({
+		type: 'code',
+		language: lang || undefined,
+		text: lines.join('\n')
+	});
+};
+
+// The paragraph direction and alignment are left to the reader.
+JsonFormatter.prototype.setDirection =
+JsonFormatter.prototype.setAlignment = function(value) {
+	/* jshint unused: vars */
+	return null;
+};
+
+// The text isn't wrapped, so there's no need for hyphens.
+JsonFormatter.prototype.hyphenate = function(text, lang) {
+	/* jshint unused: vars */
+	return text;
+};
+
+JsonFormatter.prototype.lineWidth = function() {
+	return Infinity;
+};
+
+// List items, references, and quotes are blocks of their own.  Any
+// structure nested inside them is flattened.
+JsonFormatter.prototype.indent = function(tag, kind) {
+	if (this.depth) {
+		this.depth++;
+		this.lineBreak();
+		return;
+	}
+	var prev = this.block;
+	this._endParagraph();
+	this.depth++;
+	if (kind === 'UL' || kind === 'OL' || kind === 'DL') {
+		var ordered = (kind === 'OL'), definitions = (kind === 'DL');
+		// consecutive items belong to the same list
+		if (!(prev && prev.type === 'list' && prev.ordered === ordered &&
+			  Boolean(prev.definitions) === definitions)) {
+			prev = { type: 'list', ordered: ordered, text: '', items: [] };
+			if (definitions) { prev.definitions = true; }
+			this._addBlock(prev);
+		}
+		this.block = prev;
+		this.item = {};
+	} else if (kind === 'figure') {
+		this.block = { type: 'figure', image: tag };
+		this._addBlock(this.block);
+	} else if (kind === 'note') {
+		this.block = { type: 'reference', label: tag };
+		this._addBlock(this.block);
+	} else {
+		this.block = { type: 'quote' };
+		this._addBlock(this.block);
+	}
+};
+JsonFormatter.prototype.dedent = function() {
+	if (--this.depth) {
+		this.lineBreak();
+		return;
+	}
+	var text = this._takeText(), block = this.block;
+	if (block.type === 'list') {
+		this.item.text = text;
+		block.items.push(this.item);
+		block.text = block.items.map(function(item) {
+			return item.term ? (item.term + ': ' + item.text) : item.text;
+		}).join('\n');
+		return; // keep the list open for the next item
+	}
+	block.text = text;
+	this.block = null;
+};
+
+JsonFormatter.prototype.startDefinition = function(term) {
+	if (this.depth) {
+		this.write(term + ' ');
+	}
+	this.indent(null, 'DL');
+	if (term && this.depth === 1) {
+		this.item.term = term;
+	}
+};
+
+// Figures are blocks whose text is the caption.
+JsonFormatter.prototype.startFigure = function(name) {
+	if (this.depth) {
+		return Formatter.prototype.startFigure.call(this, name);
+	}
+	this.indent(name, 'figure');
+};
+JsonFormatter.prototype.endFigure = function() {
+	this.dedent();
+};
+
+// The text is plain: only references, numbered links and direction
+// marks are shown.
+JsonFormatter.prototype.markup = function(kind, arg) {
+	if (kind === 'ref') {
+		return ['[' + arg + ']', ''];
+	}
+	if (kind === 'linkref' || kind === 'dir') {
+		return Formatter.prototype.markup.call(this, kind, arg);
+	}
+	return null;
+};
+
+JsonFormatter.prototype.paragraphBreak = function() {
+	if (this.depth) {
+		this.lineBreak();
+	} else {
+		this._endParagraph();
+	}
+};
+JsonFormatter.prototype.lineBreak = function() {
+	this.text.push('\n');
+};
+JsonFormatter.prototype.write = function(text) {
+	if (!this.depth && this.block && /\S/.test(text)) {
+		// text after a list closes it
+		this.block = null;
+	}
+	this.text.push(text);
+};
@@ -0,0 +1,335 @@
+/** Line breaking for fixed-width text: display widths after Unicode
+ * UAX #11 (East Asian Width) and break opportunities after UAX #14 (the
+ * Unicode Line Breaking Algorithm).  The character data is abridged:
+ * it covers the scripts and punctuation we are likely to meet, and
+ * everything else is treated as an alphabetic letter.
+ */
+"use strict";
+require('es6-shim');
+
+// Line breaking classes (see UAX #14), as ranges of code points.  Later
+// entries override earlier ones.
+var CLASSES = [
+	['ID', '231A-231B 23F0-23F3 2600-2603 2614-2615 2618 261A-261F ' +
+	 '2639-263B 2668 267F 26BD-26C8 26CD 26CF-26D1 26D3-26D4 26D8-26D9 ' +
+	 '26DC 26DF-26E1 26EA 26F1-26F5 26F7-26F8 26FA 26FD-2704 2708-2709 ' +
+	 '2714 2E80-2FFF 3003-3004 3006-3007 3012-3013 3020-3029 3030-303A ' +
+	 '303D-303F 3040-30FF 3100-31EF 3200-4DBF 4E00-9FFF A000-A4CF ' +
+	 'A960-A97F AC00-D7AF F900-FAFF FE30-FE4F FE51 FE58 FE5F-FE68 FE6B ' +
+	 'FF02-FF03 FF06-FF07 FF0A-FF0B FF0D FF0F FF1C-FF1E FF20-FF3A FF3C ' +
+	 'FF3E-FF5A FF5C FF5E FFE2-FFE4 1B000-1B2FF 1F000-1F0FF 1F200-1F2FF ' +
+	 '1F300-1F64F 1F680-1F6FF 1F900-1F9FF 1FA00-1FAFF 20000-2FFFD ' +
+	 '30000-3FFFD'],
+	['NU', '0030-0039 0660-0669 066B-066C 06F0-06F9 07C0-07C9 0966-096F ' +
+	 '09E6-09EF 0A66-0A6F 0AE6-0AEF 0B66-0B6F 0BE6-0BEF 0C66-0C6F ' +
+	 '0CE6-0CEF 0D66-0D6F 0E50-0E59 0ED0-0ED9 0F20-0F29 1040-1049 ' +
+	 '17E0-17E9 1810-1819 FF10-FF19'],
+	// combining marks, and invisible format characters
+	['CM', '0000-0008 000E-001F 007F-0084 0086-009F 0300-034E 0350-035B ' +
+	 '0363-036F 0483-0489 0591-05BD 05BF 05C1-05C2 05C4-05C5 05C7 ' +
+	 '0610-061A 061C 064B-065F 0670 06D6-06DC 06DF-06E4 06E7-06E8 ' +
+	 '06EA-06ED 0711 0730-074A 07A6-07B0 07EB-07F3 0816-0823 0825-082D ' +
+	 '0859-085B 08D3-08E1 08E3-0903 093A-093C 093E-094F 0951-0957 ' +
+	 '0962-0963 0981-0983 09BC 09BE-09CD 09D7 09E2-09E3 0A01-0A03 ' +
+	 '0A3C-0A51 0A70-0A71 0A75 0A81-0A83 0ABC 0ABE-0ACD 0AE2-0AE3 ' +
+	 '0B01-0B03 0B3C 0B3E-0B57 0B62-0B63 0B82 0BBE-0BCD 0BD7 0C00-0C04 ' +
+	 '0C3E-0C56 0C62-0C63 0C81-0C83 0CBC 0CBE-0CD6 0CE2-0CE3 0D00-0D03 ' +
+	 '0D3B-0D3C 0D3E-0D4D 0D57 0D62-0D63 0D82-0D83 0DCA-0DDF 0DF2-0DF3 ' +
+	 '0E31 0E34-0E3A 0E47-0E4E 0EB1 0EB4-0EBC 0EC8-0ECD 0F18-0F19 0F35 ' +
+	 '0F37 0F39 0F3E-0F3F 0F71-0F7E 0F80-0F84 0F86-0F87 0F8D-0FBC 0FC6 ' +
+	 '102B-103E 1056-1059 105E-1060 1062-1064 1067-106D 1071-1074 ' +
+	 '1082-108D 1160-11FF 135D-135F 1712-1714 1732-1734 1752-1753 ' +
+	 '1772-1773 17B4-17D3 17DD 180B-180D 18A9 1920-193B 1A17-1A1B ' +
+	 '1AB0-1AFF 1DC0-1DFF 200C 200E-200F 202A-202E 2066-206F 20D0-20F0 ' +
+	 '2CEF-2CF1 2D7F 2DE0-2DFF 302A-302F 3099-309A A66F-A672 A674-A67D ' +
+	 'A69E-A69F A6F0-A6F1 A802 A806 A80B A823-A827 D7B0-D7FF FE00-FE0F ' +
+	 'FE20-FE2F FFF9-FFFB 1D165-1D169 1D16D-1D182 E0001-E007F ' +
+	 'E0100-E01EF'],
+	['BK', '000B-000C 2028-2029'],
+	['CR', '000D'],
+	['LF', '000A'],
+	['NL', '0085'],
+	['SP', '0020'],
+	['ZW', '200B'],
+	['ZWJ', '200D'],
+	['WJ', '2060 FEFF'],
+	['GL', '00A0 034F 035C-0362 0F08 0F0C 0F12 180E 2007 2011 202F'],
+	['OP', '0028 005B 007B 00A1 00BF 0F3A 0F3C 169B 201A 201E 2045 207D ' +
+	 '208D 2308 230A 2329 2768 276A 276C 276E 2770 2772 2774 27C5 27E6 ' +
+	 '27E8 27EA 27EC 27EE 2983 2985 2987 2989 298B 298D 298F 2991 2993 ' +
+	 '2995 2997 29D8 29DA 29FC 2E18 2E22 2E24 2E26 2E28 3008 300A 300C ' +
+	 '300E 3010 3014 3016 3018 301A 301D FD3F FE17 FE35 FE37 FE39 FE3B ' +
+	 'FE3D FE3F FE41 FE43 FE47 FE59 FE5B FE5D FF08 FF3B FF5B FF5F FF62'],
+	['CL', '007D 0F3B 0F3D 169C 2046 207E 208E 2309 230B 232A 2769 276B ' +
+	 '276D 276F 2771 2773 2775 27C6 27E7 27E9 27EB 27ED 27EF 2984 2986 ' +
+	 '2988 298A 298C 298E 2990 2992 2994 2996 2998 29D9 29DB 29FD 2E23 ' +
+	 '2E25 2E27 2E29 3001-3002 3009 300B 300D 300F 3011 3015 3017 3019 ' +
+	 '301B 301E-301F FD3E FE11-FE12 FE18 FE36 FE38 FE3A FE3C FE3E FE40 ' +
+	 'FE42 FE44 FE48 FE50 FE52 FE5A FE5C FE5E FF0C FF0E FF5D FF60-FF61 ' +
+	 'FF63-FF64'],
+	['CP', '0029 005D FF09 FF3D'],
+	['QU', '0022 0027 00AB 00BB 2018-2019 201B-201D 201F 2039-203A ' +
+	 '275B-2760 2E00-2E0D 2E1C-2E1D 2E20-2E21'],
+	['EX', '0021 003F 05C6 061B 061E-061F 06D4 07F9 0F0D-0F11 0F14 ' +
+	 '1802-1803 1808-1809 1944-1945 2762-2763 2CF9 2CFE 2E2E A60E ' +
+	 'A876-A877 FE15-FE16 FE56-FE57 FF01 FF1F'],
+	['IS', '002C 002E 003A-003B 037E 0589 060C-060D 07F8 2044 FE10 ' +
+	 'FE13-FE14'],
+	['SY', '002F'],
+	// includes the small kana, which may not start a line either
+	['NS', '17D6 203C-203D 2047-2049 3005 301C 303B-303C 309B-309E 30A0 ' +
+	 '30FB 30FD-30FE A015 FE54-FE55 FF1A-FF1B FF65 FF9E-FF9F 3041 3043 ' +
+	 '3045 3047 3049 3063 3083 3085 3087 308E 3095-3096 30A1 30A3 30A5 ' +
+	 '30A7 30A9 30C3 30E3 30E5 30E7 30EE 30F5-30F6 30FC 31F0-31FF ' +
+	 'FF67-FF70'],
+	['HY', '002D'],
+	['BA', '0009 007C 00AD 058A 05BE 0964-0965 0E5A-0E5B 0F0B 0F34 0F7F ' +
+	 '0F85 0FBE-0FBF 0FD2 104A-104B 1361 1400 1680 16EB-16ED 1735-1736 ' +
+	 '17D4-17D5 17D8 17DA 1804-1805 1B5A-1B5B 1B5D-1B60 2000-2006 ' +
+	 '2008-200A 2010 2012-2013 2027 2056 2058-205B 205D-205F 2CFA-2CFC ' +
+	 '2CFF 2D70 2E0E-2E15 2E17 2E19 2E2A-2E2D 2E30-2E31 3000'],
+	['B2', '2014 2E3A-2E3B'],
+	['BB', '00B4 02C8 02CC 02DF 0F01-0F04 0F06-0F07 0F09-0F0A 0FD0-0FD1 ' +
+	 '0FD3 1806 1FFD A874-A875'],
+	['IN', '2024-2026 22EF FE19'],
+	['PR', '0024 002B 005C 00A3-00A5 00B1 058F 09FB 0AF1 0BF9 0E3F 17DB ' +
+	 '20A0-20A6 20A8-20B5 20B7-20BA 20BC-20BF 2116 2212-2213 FE69 FF04 ' +
+	 'FFE1 FFE5-FFE6'],
+	['PO', '0025 00A2 00B0 0609-060B 066A 09F2-09F3 0D79 2030-2037 20A7 ' +
+	 '20B6 20BB 2103 2109 2126 FDFC FE6A FF05 FFE0']
+];
+
+// Characters which take up two columns (East Asian Wide and Fullwidth).
+var WIDE = '1100-115F 231A-231B 2329-232A 23E9-23EC 23F0 23F3 25FD-25FE ' +
+	'2614-2615 2648-2653 267F 2693 26A1 26AA-26AB 26BD-26BE 26C4-26C5 ' +
+	'26CE 26D4 26EA 26F2-26F3 26F5 26FA 26FD 2705 270A-270B 2728 274C ' +
+	'274E 2753-2755 2757 2795-2797 27B0 27BF 2B1B-2B1C 2B50 2B55 ' +
+	'2E80-303E 3041-33FF 3400-4DBF 4E00-9FFF A000-A4CF A960-A97F ' +
+	'AC00-D7A3 F900-FAFF FE10-FE19 FE30-FE6F FF00-FF60 FFE0-FFE6 ' +
+	'16FE0-16FE4 17000-18AFF 1B000-1B2FF 1F004 1F0CF 1F18E 1F191-1F19A ' +
+	'1F200-1F251 1F300-1F64F 1F680-1F6FF 1F900-1F9FF 1FA70-1FAFF ' +
+	'20000-2FFFD 30000-3FFFD';
+
+// Parse a list of ranges, calling `f(start, end)` for each.
+var eachRange = function(ranges, f) {
+	ranges.split(' ').forEach(function(r) {
+		var m = r.split('-').map(function(h) { return parseInt(h, 16); });
+		f(m[0], m.length > 1 ? m[1] : m[0]);
+	});
+};
+
+// Look-up tables: one entry for each character in the BMP, and a list
+// of ranges for the rest.
+var Table = function(dflt) {
+	this.dflt = dflt;
+	this.bmp = new Uint8Array(0x10000);
+	this.astral = [];
+	for (var i = 0; i < 0x10000; i++) { this.bmp[i] = dflt; }
+};
+Table.prototype.set = function(ranges, value) {
+	eachRange(ranges, function(start, end) {
+		if (start > 0xFFFF) {
+			this.astral.unshift([start, end, value]);
+			return;
+		}
+		for (var i = start; i <= end; i++) { this.bmp[i] = value; }
+	}.bind(this));
+};
+Table.prototype.get = function(cp) {
+	if (cp <= 0xFFFF) { return this.bmp[cp]; }
+	for (var i = 0; i < this.astral.length; i++) {
+		var r = this.astral[i];
+		if (cp >= r[0] && cp <= r[1]) { return r[2]; }
+	}
+	return this.dflt;
+};
+
+var NAMES = ['AL'];
+var classTable = new Table(0);
+var widthTable = new Table(1);
+CLASSES.forEach(function(c) {
+	NAMES.push(c[0]);
+	classTable.set(c[1], NAMES.length - 1);
+});
+var CLS = {}; // name -> index
+NAMES.forEach(function(name, i) { CLS[name] = i; });
+widthTable.set(WIDE, 2);
+CLASSES.forEach(function(c) {
+	if (/^(CM|ZW|ZWJ|WJ)$/.test(c[0])) { widthTable.set(c[1], 0); }
+});
+widthTable.set('00AD', 0); // soft hyphen
+
+// Split a string into code points.
+var codePoints = function(str) {
+	var result = [];
+	for (var i = 0; i < str.length; i++) {
+		var c = str.charCodeAt(i);
+		if (c >= 0xD800 && c <= 0xDBFF && i + 1 < str.length) {
+			var d = str.charCodeAt(i + 1);
+			if (d >= 0xDC00 && d <= 0xDFFF) {
+				c = 0x10000 + (c - 0xD800) * 0x400 + (d - 0xDC00);
+				i++;
+			}
+		}
+		result.push(c);
+	}
+	return result;
+};
+
+/** The number of columns taken up by `str` in a fixed-width font. */
+var width = exports.width = function(str) {
+	return codePoints(str).reduce(function(w, cp) {
+		return w + widthTable.get(cp);
+	}, 0);
+};
+
+// Line breaking classes of the characters in `cps`, with combining marks
+// resolved to the class of their base (rules LB9 and LB10).
+var classify = function(cps) {
+	var prev = null;
+	return cps.map(function(cp) {
+		var cls = classTable.get(cp);
+		if (cls === CLS.CM || cls === CLS.ZWJ) {
+			if (prev === null || prev === CLS.SP || prev === CLS.BK ||
+				prev === CLS.CR || prev === CLS.LF || prev === CLS.NL ||
+				prev === CLS.ZW) {
+				cls = CLS.AL;
+			} else {
+				return prev;
+			}
+		}
+		prev = cls;
+		return cls;
+	});
+};
+
+var is = function(cls) {
+	var names = Array.prototype.slice.call(arguments, 1);
+	return names.some(function(name) { return cls === CLS[name]; });
+};
+
+// May the line be broken between characters of the classes `a` and `b`?
+// `before` is the class of the last character before any spaces; `raw`
+// is the unresolved class of `b`.  Returns 'must', true or false.
+var canBreak = function(a, b, before, raw) {
+	/* jshint maxcomplexity: false */
+	if (is(a, 'BK', 'LF', 'NL')) { return 'must'; }
+	if (a === CLS.CR) { return (b === CLS.LF) ? false : 'must'; }
+	if (is(b, 'BK', 'CR', 'LF', 'NL', 'SP', 'ZW')) { return false; }
+	if (before === CLS.ZW) { return true; }
+	if (is(raw, 'CM', 'ZWJ') || a === CLS.ZWJ) { return false; }
+	if (a === CLS.WJ || b === CLS.WJ || a === CLS.GL) { return false; }
+	if (b === CLS.GL && !is(a, 'SP', 'BA', 'HY')) { return false; }
+	if (is(b, 'CL', 'CP', 'EX', 'IS', 'SY')) { return false; }
+	if (before === CLS.OP) { return false; }
+	if (before === CLS.QU && b === CLS.OP) { return false; }
+	if (is(before, 'CL', 'CP') && b === CLS.NS) { return false; }
+	if (before === CLS.B2 && b === CLS.B2) { return false; }
+	if (a === CLS.SP) { return true; }
+	if (a === CLS.QU || b === CLS.QU) { return false; }
+	if (is(b, 'BA', 'HY', 'NS', 'IN') || a === CLS.BB) { return false; }
+	if ((a === CLS.AL && b === CLS.NU) || (a === CLS.NU && b === CLS.AL)) {
+		return false;
+	}
+	if ((a === CLS.PR && b === CLS.ID) || (a === CLS.ID && b === CLS.PO)) {
+		return false;
+	}
+	if ((is(a, 'PR', 'PO') && b === CLS.AL) ||
+		(a === CLS.AL && is(b, 'PR', 'PO'))) {
+		return false;
+	}
+	if ((is(a, 'CL', 'CP', 'NU') && is(b, 'PO', 'PR')) ||
+		(is(a, 'PO', 'PR') && is(b, 'OP', 'NU')) ||
+		(is(a, 'HY', 'IS', 'NU', 'SY') && b === CLS.NU)) {
+		return false;
+	}
+	if (is(a, 'AL', 'IS') && b === CLS.AL) { return false; }
+	if ((is(a, 'AL', 'NU') && b === CLS.OP) ||
+		(a === CLS.CP && is(b, 'AL', 'NU'))) {
+		return false;
+	}
+	return true;
+};
+
+/** Split `str` into the pieces between line break opportunities.  Each
+ * piece ends with any spaces following it; `must` is set if the line
+ * has to be broken after it. */
+var segments = exports.segments = function(str) {
+	var cps = codePoints(str), raw = cps.map(classTable.get, classTable);
+	var cls = classify(cps);
+	var result = [], start = 0, before = null;
+	for (var i = 1; i <= cps.length; i++) {
+		var a = cls[i - 1];
+		if (a !== CLS.SP) { before = a; }
+		var brk = (i === cps.length) ? 'must' :
+			canBreak(a, cls[i], before, raw[i]);
+		if (brk) {
+			result.push({
+				text: String.fromCodePoint.apply(String, cps.slice(start, i)),
+				must: brk === 'must' && i < cps.length
+			});
+			start = i;
+		}
+	}
+	return result;
+};
+
+/** Break `text` (which is too long for a line) into pieces no wider
+ * than `w`, wherever necessary, keeping combining marks with their base
+ * character. */
+var fold = exports.fold = function(text, w) {
+	var pieces = [], piece = '', pw = 0;
+	Array.from(text).forEach(function(c) {
+		var cw = width(c);
+		if (cw && pw + cw > w && piece) {
+			pieces.push(piece);
+			piece = '';
+			pw = 0;
+		}
+		piece += c;
+		pw += cw;
+	});
+	if (piece) { pieces.push(piece); }
+	return pieces;
+};
+
+// The text of `line` as it appears at the end of a line: without the
+// trailing spaces, and with a hyphen if it was broken at a soft hyphen.
+// Word joiners have done their job by now, and are dropped as well.
+var lineEnd = function(line) {
+	return line.replace(/ +$/, '').replace(/\u00AD$/, '-')
+		.replace(/[\u00AD\u2060]/g, '');
+};
+
+/** Wrap `text` into lines no wider than `w` columns (the first line may
+ * have `first` columns instead).  Runs of whitespace are collapsed.
+ * Words which are too long for a line are left to overflow it, unless
+ * `hard` is set, in which case they are split.  Words may be broken at
+ * soft hyphens, which are otherwise dropped (as are word joiners). */
+exports.wrap = function(text, w, first, hard) {
+	text = text.replace(/[ \t\n\r\f]+/g, ' ').trim();
+	var lines = [], line = '', avail = (first === undefined) ? w : first;
+	var endLine = function() {
+		lines.push(lineEnd(line));
+		line = '';
+		avail = w;
+	};
+	segments(text).forEach(function(seg) {
+		var piece = seg.text;
+		if (line && width(lineEnd(line + piece)) > avail) {
+			endLine();
+		}
+		if (hard) {
+			while (width(lineEnd(piece)) > avail) {
+				var pieces = fold(piece, avail);
+				line += pieces.shift();
+				endLine();
+				piece = pieces.join('');
+			}
+		}
+		line += piece;
+		if (seg.must) { endLine(); }
+	});
+	if (line || !lines.length) { endLine(); }
+	return lines;
+};
@@ -0,0 +1,335 @@
+// Markdown formatter.
+// ---------------------------------------------------------------------
+"use strict";
+require('es6-shim');
+
+var util = require('util');
+
+var Formatter = require('./formatter');
+
+// Quote the characters which would end a link target.
+var escapeUrl = function(url) {
+	return url.replace(/[ ()]/g, function(c) {
+		return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+	});
+};
+
+// Join the characters of `str` with word joiners, so that the line isn't
+// broken inside it.
+var unbreakable = function(str) {
+	return Array.from(str).join('\u2060');
+};
+
+// Whether a list item with `tag` may start on the line after a paragraph;
+// others would just continue the paragraph.
+var interrupts = function(tag) {
+	return tag === '*' || tag === '1.' || tag === ':';
+};
+
+/** Emits markdown (with the common footnote and definition list
+ * extensions) instead of plain text.  Block quotes are tracked as a
+ * line prefix in the formatter state.
+ */
+var MarkdownFormatter = module.exports = function(outStream, options) {
+	Formatter.call(this, outStream, options);
+	this.state.prefix = '';
+	// the kind of list item which just ended, and the state it ended in
+	this.lastItem = null;
+};
+util.inherits(MarkdownFormatter, Formatter);
+
+// As for Formatter#_makeWrap, but each line starts with `prefix` (the
+// block quote markers), which takes its room out of the columns.  The
+// lines aren't aligned, since the reader reflows them.
+MarkdownFormatter.prototype._makeWrap = function(indent, hang, columns, align,
+												 prefix) {
+	/* jshint unused: vars */
+	prefix = prefix || '';
+	var addPrefix = function(wrap) {
+		if (!prefix || !wrap) { return wrap; }
+		var result = function(t) {
+			return wrap(t).split('\n').map(function(line) {
+				return prefix + line;
+			}).join('\n');
+		};
+		result.rest = addPrefix(wrap.rest);
+		return result;
+	};
+	return addPrefix(Formatter.prototype._makeWrap.call(
+		this, indent, hang, (columns || this.columns) - prefix.length
+	));
+};
+
+// Write a single unwrapped line (without the word joiners, which only
+// matter to wrapping).
+MarkdownFormatter.prototype._writeLine = function(line) {
+	this.lineBreak();
+	this.lastItem = null;
+	line = line.replace(/\u2060/g, '');
+	this._write(
+		(line ? (this.state.prefix + ' '.repeat(this.state.indent) + line) :
+		 this.state.prefix.replace(/\s+$/, '')) + '\n'
+	);
+	this.newLine = true;
+	this.newPara = false;
+};
+
+MarkdownFormatter.prototype.writeTitle = function(title, subtitle) {
+	this._writeLine('# ' + title.trim());
+	this.paragraphBreak();
+	if (subtitle) {
+		this.write(subtitle.trim());
+		this.paragraphBreak();
+	}
+};
+
+MarkdownFormatter.prototype.writeHeading = function(level, heading) {
+	// level 0 (chapters) is one below the title
+	var hashes = '#'.repeat(Math.min(Math.max(level, 0) + 2, 6));
+	var number = this.headingNumber(level);
+	this.paragraphBreak();
+	this._writeLine(hashes + ' ' + (number ? (number + ' ') : '') +
+					heading.replace(/\s+/g, ' ').trim());
+	this.paragraphBreak();
+};
+
+// The table of contents is a nested list.
+MarkdownFormatter.prototype.writeToc = function(entries) {
+	if (!entries.length) { return; }
+	var top = Math.min.apply(Math, entries.map(function(e) {
+		return e.level;
+	}));
+	this.paragraphBreak();
+	this._writeLine('## Contents');
+	this.paragraphBreak();
+	entries.forEach(function(e) {
+		this._writeLine('  '.repeat(e.level - top) + '* ' +
+						(e.number ? (e.number + ' ') : '') +
+						this.escape(e.title));
+	}, this);
+	this.paragraphBreak();
+};
+
+// Pre-formatted lines become a fenced code block.
+MarkdownFormatter.prototype.writeBlock = function(lines) {
+	this.paragraphBreak();
+	this._writeLine('```');
+	lines.forEach(function(line) {
+		this._writeLine(line.replace(/\s+$/, ''));
+	}, this);
+	this._writeLine('```');
+	this.paragraphBreak();
+};
+
+// Code is fenced, with the language as the info string.  The fence has
+// to be longer than any run of backticks starting a line of the code.
+MarkdownFormatter.prototype.writeCode = function(lines, lang) {
+	var fence = lines.reduce(function(f, line) {
+		var ticks = /^ *(`*)/.exec(line)[1];
+		return (ticks.length >= f.length) ? (ticks + '`') : f;
+	}, '```');
+	this.paragraphBreak();
+	this._writeLine(fence + (lang || ''));
+	lines.forEach(function(line) {
+		this._writeLine(line.replace(/\s+$/, ''));
+	}, this);
+	this._writeLine(fence);
+	this.paragraphBreak();
+};
+
+// Tables become pipe tables; cells which span several columns or rows
+// just appear in the first one.
+MarkdownFormatter.prototype.writeTable = function(table) {
+	var rows = table.matrix();
+	if (!rows.length || !this.lineWidth()) {
+		// nothing to draw, or no room to draw it
+		return Formatter.prototype.writeTable.call(this, table);
+	}
+	var header = rows.splice(0, rows.headerRows).reduce(function(h, row) {
+		return h.map(function(text, i) {
+			return (text && row[i]) ? (text + ' ' + row[i]) : (text || row[i]);
+		});
+	}, rows[0].map(function() { return ''; }));
+	var line = function(cells) {
+		return '| ' + cells.join(' | ') + ' |';
+	};
+	this.paragraphBreak();
+	if (table.caption) {
+		this.write(table.caption);
+		this.paragraphBreak();
+	}
+	this._writeLine(line(header));
+	this._writeLine(line(header.map(function() { return '---'; })));
+	rows.forEach(function(row) {
+		this._writeLine(line(row));
+	}, this);
+	this.paragraphBreak();
+};
+
+// Lines may start with block quote prefixes.  There are no paragraph
+// direction marks, which would get in the way of the list markers.
+MarkdownFormatter.prototype._bidiStart = /^(?: *>)* */;
+MarkdownFormatter.prototype.dirMark = function() {
+	return '';
+};
+
+// Markdown paragraphs are reflowed by the reader.
+MarkdownFormatter.prototype.setAlignment = function(align) {
+	/* jshint unused: vars */
+	return null;
+};
+
+MarkdownFormatter.prototype.lineWidth = function() {
+	return Formatter.prototype.lineWidth.call(this) - this.state.prefix.length;
+};
+
+// A tag makes this a list item (or footnote, or definition) with the
+// content indented to match; otherwise, start a block quote.  A list
+// which follows another kind of list, or a block it can't interrupt,
+// starts after a blank line.
+MarkdownFormatter.prototype.indent = function(tag, kind) {
+	this.lineBreak();
+	var prefix = this.state.prefix, nIndent = this.state.indent, hang = 0;
+	kind = tag ? (kind || tag.trim()) : null;
+	if (tag && !this.newPara) {
+		var last = this.lastItem;
+		if (last ? (last.state !== this.state || last.kind !== kind) :
+			!interrupts(tag.trim())) {
+			this.paragraphBreak();
+		}
+	}
+	if (tag) {
+		hang = tag.length + 1;
+		nIndent += hang;
+	} else {
+		this.paragraphBreak();
+		prefix += ' '.repeat(nIndent) + '> ';
+		nIndent = 0;
+	}
+	this.stateStack.push(this.state);
+	this.state = {
+		indent: nIndent,
+		prefix: prefix,
+		dir: this.state.dir,
+		kind: kind,
+		wrap: this._makeWrap(nIndent, hang, null, null, prefix)
+	};
+	if (tag) {
+		this.write(tag);
+		this.write(' ');
+	}
+};
+MarkdownFormatter.prototype.dedent = function() {
+	var prefix = this.state.prefix, kind = this.state.kind;
+	Formatter.prototype.dedent.call(this);
+	if (prefix !== this.state.prefix) {
+		// end of a block quote
+		this.paragraphBreak();
+	}
+	this.lastItem = kind ? { kind: kind, state: this.state } : null;
+};
+
+MarkdownFormatter.prototype.write = function(text) {
+	if (/\S/.test(text)) { this.lastItem = null; }
+	Formatter.prototype.write.call(this, text);
+};
+
+// Blank lines inside a block quote still need the quote prefix.
+MarkdownFormatter.prototype.paragraphBreak = function() {
+	if (this.newPara) { return; }
+	if (!this.newLine) {
+		this.lineBreak();
+	}
+	this._write(this.state.prefix.replace(/\s+$/, '') + '\n');
+	this.newPara = true;
+};
+
+MarkdownFormatter.prototype.startDefinition = function(term) {
+	this.paragraphBreak();
+	if (term) {
+		this.write(term);
+		this.lineBreak();
+	}
+	this.indent(':');
+};
+
+// Infoboxes become a list, with the labels (and headings) in bold.
+MarkdownFormatter.prototype.writeInfobox = function(infobox) {
+	this.paragraphBreak();
+	if (infobox.title) {
+		this.write('**' + infobox.title + '**');
+		this.paragraphBreak();
+	}
+	infobox.rows.forEach(function(row) {
+		this.indent('*', 'UL');
+		if (row.heading) {
+			this.write('**' + row.heading + '**');
+		} else if (row.label) {
+			this.write('**' + row.label + ':** ' + row.value);
+		} else {
+			this.write(row.value);
+		}
+		this.dedent();
+	}, this);
+	this.paragraphBreak();
+};
+
+// Markdown only numbers lists with decimal numbers.
+MarkdownFormatter.prototype.listTag = function(type, num, depth, style) {
+	/* jshint unused: vars */
+	return (type === 'OL') ? (num + '.') : '*';
+};
+MarkdownFormatter.prototype.noteTag = function(num) {
+	return '[^' + num + ']:';
+};
+
+MarkdownFormatter.prototype.markup = function(kind, arg) {
+	switch (kind) {
+	case 'strong':
+		return ['**', '**'];
+	case 'em':
+		return ['*', '*'];
+	case 'link':
+		return ['[', unbreakable('](' + escapeUrl(arg) + ')')];
+	case 'ref':
+		return ['[^' + arg + ']', ''];
+	case 'linkref':
+		return ['[', unbreakable('][' + arg + ']')];
+	case 'code':
+		// a code span is delimited by a longer run of backticks than any
+		// in the code, and spaces keep it apart from backticks at the ends
+		var ticks = (arg.match(/`+/g) || []).reduce(function(t, run) {
+			return (run.length >= t.length) ? (run + '`') : t;
+		}, '`');
+		var space = /^`|`$/.test(arg.trim()) ? ' ' : '';
+		return [ticks + space, space + ticks];
+	case 'strike':
+		return ['~~', '~~'];
+	case 'underline':
+		// markdown has no underlining
+		return null;
+	}
+	return Formatter.prototype.markup.call(this, kind, arg);
+};
+
+// Numbered links are reference-style links; the definitions go at the
+// end of the article.
+MarkdownFormatter.prototype.writeLinks = function(links, level) {
+	/* jshint unused: vars */
+	this.paragraphBreak();
+	links.forEach(function(link, i) {
+		this._writeLine('[' + (i + 1) + ']: ' + escapeUrl(link.url));
+	}, this);
+	this.paragraphBreak();
+};
+
+// Markdown paragraphs are reflowed by the reader, so a hyphen at the end
+// of a line would stay in the middle of the word.
+MarkdownFormatter.prototype.hyphenate = function(text, lang) {
+	/* jshint unused: vars */
+	return text;
+};
+
+MarkdownFormatter.prototype.escape = function(text) {
+	return text.replace(/[\\`*_\[\]<>#|]/g, '\\$&');
+};
@@ -3,6 +3,8 @@
 require('es6-shim');
 require('prfun');
 
+var fs = require('fs');
+var path = require('path');
 var spawn = require('child_process').spawn;
 
 var P = module.exports = {};
@@ -33,6 +35,30 @@ P.spawn = function(program, args, options) {
 	});
 };
 
+// Returns a promise for completion after removing the directory `dir`,
+// and the files in it.
+P.removeDir = function(dir) {
+	return P.call(fs.readdir, fs, dir).then(function(files) {
+		return Promise.all(files.map(function(file) {
+			return P.call(fs.unlink, fs, path.join(dir, file));
+		}));
+	}).then(function() {
+		return P.call(fs.rmdir, fs, dir);
+	});
+};
+
+// Returns a promise for completion after creating the directory `dir`,
+// and any of its parents which are missing.  It's fine if it exists.
+P.makeDir = function(dir) {
+	return P.call(fs.mkdir, fs, dir).catch(function(err) {
+		if (err.code === 'EEXIST') { return; }
+		if (err.code !== 'ENOENT' || path.dirname(dir) === dir) { throw err; }
+		return P.makeDir(path.dirname(dir)).then(function() {
+			return P.makeDir(dir);
+		});
+	});
+};
+
 // Returns a promise for completion after iterating through the given
 // array in parallel.  The function should return a promise for each element.
 // This is like map but we throw away the results.
@@ -0,0 +1,98 @@
+/** A pool of worker processes (see worker.js) which render articles, so
+ * that several articles can be rendered at once.  Each is given the
+ * arguments for renderArticle (in index.js), and gives back its result;
+ * the jobs wait their turn for a worker. */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var fork = require('child_process').fork;
+var path = require('path');
+
+var WORKER = path.join(__dirname, 'worker.js');
+
+/** Start `size` worker processes. */
+var Pool = module.exports = function(size) {
+	this.workers = [];
+	this.idle = [];
+	this.queue = []; // jobs waiting for a worker
+	this.closed = false;
+	for (var i = 0; i < size; i++) {
+		this._start();
+	}
+};
+
+// Start a worker process.
+Pool.prototype._start = function() {
+	var worker = fork(WORKER);
+	worker.job = null;
+	worker.on('message', function(msg) {
+		var job = worker.job;
+		worker.job = null;
+		if (msg.error) {
+			var err = new Error(msg.error);
+			err.stack = msg.stack;
+			job.reject(err);
+		} else {
+			job.resolve(msg.result);
+		}
+		this.idle.push(worker);
+		this._next();
+	}.bind(this));
+	var exited = function(err) {
+		if (this.workers.indexOf(worker) < 0) { return; }
+		this.workers.splice(this.workers.indexOf(worker), 1);
+		if (this.idle.indexOf(worker) >= 0) {
+			this.idle.splice(this.idle.indexOf(worker), 1);
+		}
+		if (this.closed) { return; }
+		// a worker which dies fails its job; once they all have, so does
+		// everything else
+		err = (err instanceof Error) ? err :
+			new Error('Worker process exited with code ' + err);
+		if (worker.job) { worker.job.reject(err); }
+		if (!this.workers.length) {
+			this.queue.splice(0).forEach(function(job) { job.reject(err); });
+		}
+	}.bind(this);
+	worker.on('exit', exited).on('error', exited);
+	this.workers.push(worker);
+	this.idle.push(worker);
+};
+
+// Hand the waiting jobs to the idle workers.
+Pool.prototype._next = function() {
+	while (this.idle.length && this.queue.length) {
+		var worker = this.idle.shift();
+		worker.job = this.queue.shift();
+		worker.send({ args: worker.job.args });
+	}
+};
+
+/** Return a promise for the result of renderArticle(...`args`), from the
+ * next worker which is free. */
+Pool.prototype.render = function(args) {
+	return new Promise(function(resolve, reject) {
+		if (this.closed || !this.workers.length) {
+			throw new Error('No worker processes');
+		}
+		this.queue.push({ args: args, resolve: resolve, reject: reject });
+		this._next();
+	}.bind(this));
+};
+
+/** Stop the workers (once they have finished their jobs).  Returns a
+ * promise which is resolved once they have exited. */
+Pool.prototype.close = function() {
+	this.closed = true;
+	this.queue.splice(0).forEach(function(job) {
+		job.reject(new Error('Worker pool closed'));
+	});
+	return Promise.all(this.workers.map(function(worker) {
+		return new Promise(function(resolve) {
+			worker.on('exit', function() { resolve(); });
+			// with the channel closed, the worker has nothing left to do
+			worker.disconnect();
+		});
+	}));
+};
@@ -0,0 +1,363 @@
+/** A small HTTP service which converts bundles on request.
+ *
+ *   POST   /jobs             start a job: either upload a zip bundle (with
+ *                            the options, and a `name` for the job, in
+ *                            the query string), or send
+ *                            JSON naming a bundle on this machine:
+ *                            { "bundle": "/path", "options": { ... } }
+ *   GET    /jobs             list the jobs
+ *   GET    /jobs/ID          the status of a job
+ *   GET    /jobs/ID/output   the text, once the job is done
+ *   DELETE /jobs/ID          cancel a job (if it hasn't finished), and
+ *                            discard it and its output
+ *
+ * Jobs are queued, and at most `options.jobs` of them run at once.  The
+ * status is a JSON object with the job's `state` ("queued", "running",
+ * "done", "failed" or "cancelled"), and the `percent` complete and
+ * `message` of the last progress report. */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var fs = require('fs');
+var http = require('http');
+var path = require('path');
+var tmp = require('tmp');
+var url = require('url');
+
+var json = require('../package.json');
+var P = require('./p');
+var texter = require('./index');
+
+// The conversion options a client may set.
+var OPTIONS = [
+	'format', 'lang', 'noWrap', 'columns', 'tabWidth', 'minWidth',
+	'listIndent', 'codeStyle', 'lightMarkup', 'longLines', 'noRefs',
+	'tableStyle', 'mathLayout', 'images', 'numberHeadings', 'toc',
+	'headingStyle', 'bidi', 'hyphenate', 'justify', 'infobox', 'links',
+	'window'
+];
+
+// Content types for the output formats.
+var CONTENT_TYPES = {
+	text: 'text/plain; charset=utf-8',
+	markdown: 'text/markdown; charset=utf-8',
+	json: 'application/json; charset=utf-8'
+};
+
+// The largest JSON request body we accept, in bytes.
+var MAX_JSON = 64 * 1024;
+
+// The largest bundle we accept by default, in bytes.
+var MAX_UPLOAD = 100 * 1024 * 1024;
+
+// An error with an HTTP status code.
+var httpError = function(statusCode, message) {
+	var err = new Error(message);
+	err.statusCode = statusCode;
+	return err;
+};
+
+// Check the options requested by a client.  Values from a query string
+// are strings, so "true" and "false" are taken as booleans.
+var clientOptions = function(options) {
+	var result = {};
+	Object.keys(options || {}).forEach(function(key) {
+		if (OPTIONS.indexOf(key) < 0) {
+			throw httpError(400, 'Unknown option: ' + key);
+		}
+		var value = options[key];
+		result[key] = (value === 'true') ? true :
+			(value === 'false') ? false : value;
+	});
+	return result;
+};
+
+/** The options are `jobs` (how many jobs to run at once), `tmpdir` (for
+ * the uploaded bundles and the output), `maxUpload` (the largest bundle
+ * which may be uploaded, in bytes), `log` (a function to log messages
+ * with), and `defaults` (conversion options for every job, which
+ * clients can't change). */
+var Server = module.exports = function(options) {
+	this.options = options || {};
+	this.concurrency = this.options.jobs || 2;
+	this.maxUpload = this.options.maxUpload || MAX_UPLOAD;
+	this.jobs = new Map(); // id -> job
+	this.queue = [];
+	this.running = 0;
+	this.nextId = 1;
+	this.http = http.createServer(this._handle.bind(this));
+};
+
+/** Start listening on `port` (and `host`, by default only the local
+ * machine).  Returns a promise which is resolved with the address once
+ * the server is listening. */
+Server.prototype.listen = function(port, host) {
+	return new Promise(function(resolve, reject) {
+		this.http.once('error', reject);
+		this.http.listen(port, host || '127.0.0.1', function() {
+			this.http.removeListener('error', reject);
+			resolve(this.http.address());
+		}.bind(this));
+	}.bind(this));
+};
+
+/** Stop the server: cancel the jobs and remove their files.  Returns a
+ * promise which is resolved once the server has closed. */
+Server.prototype.close = function() {
+	var ids = [];
+	this.jobs.forEach(function(job, id) { ids.push(id); });
+	return Promise.map(ids, this._remove.bind(this)).then(function() {
+		return P.call(this.http.close, this.http);
+	}.bind(this));
+};
+
+// Log a message, if we were given somewhere to log to.
+Server.prototype._log = function() {
+	if (this.options.log) {
+		this.options.log.apply(null, arguments);
+	}
+};
+
+// The public view of a job.
+Server.prototype._status = function(job) {
+	return {
+		id: job.id,
+		state: job.state,
+		bundle: job.name,
+		format: job.options.format || 'text',
+		percent: job.percent,
+		message: job.message,
+		file: job.file,
+		error: job.error,
+		output: (job.state === 'done') ? ('/jobs/' + job.id + '/output') :
+			undefined
+	};
+};
+
+// Send `body` as JSON.
+Server.prototype._send = function(res, statusCode, body, headers) {
+	var text = JSON.stringify(body, null, 1) + '\n';
+	res.writeHead(statusCode, Object.assign({
+		'Content-Type': 'application/json; charset=utf-8',
+		'Content-Length': Buffer.byteLength(text)
+	}, headers || {}));
+	res.end(text);
+};
+
+// Dispatch a request.
+Server.prototype._handle = function(req, res) {
+	var u = url.parse(req.url, true);
+	var parts = u.pathname.split('/').filter(function(p) { return p; });
+	Promise.resolve().then(function() {
+		if (parts[0] !== 'jobs' || parts.length > 3 ||
+			(parts.length === 3 && parts[2] !== 'output')) {
+			throw httpError(404, 'Not found: ' + u.pathname);
+		}
+		var job = null;
+		if (parts.length > 1) {
+			job = this.jobs.get(parts[1]);
+			if (!job) { throw httpError(404, 'No such job: ' + parts[1]); }
+		}
+		var route = req.method + ' ' + (
+			parts.length === 1 ? 'jobs' : parts.length === 2 ? 'job' : 'output'
+		);
+		switch (route) {
+		case 'GET jobs':
+			var jobs = [];
+			this.jobs.forEach(function(job) { jobs.push(this._status(job)); }, this);
+			return this._send(res, 200, {
+				name: json.name,
+				version: json.version,
+				jobs: jobs
+			});
+		case 'POST jobs':
+			return this._create(req, u.query).then(function(job) {
+				this._send(res, 202, this._status(job), {
+					Location: '/jobs/' + job.id
+				});
+			}.bind(this));
+		case 'GET job':
+			return this._send(res, 200, this._status(job));
+		case 'DELETE job':
+			return this._remove(job.id).then(function() {
+				this._send(res, 200, this._status(job));
+			}.bind(this));
+		case 'GET output':
+			return this._output(job, res);
+		default:
+			throw httpError(405, 'Method not allowed: ' + req.method);
+		}
+	}.bind(this)).catch(function(err) {
+		if (!err.statusCode) { this._log(err.stack || err); }
+		if (res.headersSent) { return res.end(); }
+		this._send(res, err.statusCode || 500, { error: err.message });
+	}.bind(this)).done();
+};
+
+// Create a job for a POST request, and queue it.  Returns a promise for
+// the job.
+Server.prototype._create = function(req, query) {
+	var job = {
+		id: String(this.nextId++),
+		state: 'queued',
+		percent: 0,
+		message: 'Queued'
+	};
+	var type = (req.headers['content-type'] || '').split(';')[0].trim();
+	var limit = this.maxUpload;
+	var tooLarge = httpError(413, 'Upload too large (the limit is ' +
+							 limit + ' bytes)');
+	if (type !== 'application/json' &&
+		Number(req.headers['content-length']) > limit) {
+		return Promise.reject(tooLarge);
+	}
+	return P.call(tmp.dir, tmp, {
+		prefix: json.name + '-job-',
+		dir: this.options.tmpdir
+	}).then(function(dir) {
+		job.dir = dir;
+		job.output = path.join(dir, 'output');
+		if (type === 'application/json') {
+			return this._readJson(req).then(function(body) {
+				if (!body || typeof body.bundle !== 'string') {
+					throw httpError(400, 'A "bundle" path is required');
+				}
+				job.options = clientOptions(body.options);
+				job.bundle = job.name = path.resolve(body.bundle);
+			});
+		}
+		// anything else is an uploaded zip file, with an optional name
+		job.name = query.name || 'upload';
+		delete query.name;
+		job.options = clientOptions(query);
+		job.bundle = path.join(dir, 'bundle.zip');
+		return new Promise(function(resolve, reject) {
+			var out = fs.createWriteStream(job.bundle), size = 0;
+			out.on('error', reject).on('finish', function() {
+				if (size > limit) { return reject(tooLarge); }
+				resolve();
+			});
+			req.pipe(out);
+			req.on('data', function(chunk) {
+				if (size <= limit && (size += chunk.length) > limit) {
+					// stop writing, and discard the rest of the upload
+					req.unpipe(out);
+					req.resume();
+					out.end();
+				}
+			}).on('error', reject);
+		});
+	}.bind(this)).then(function() {
+		if (job.options.format &&
+			texter.formats.indexOf(job.options.format) < 0) {
+			throw httpError(400, 'Unknown output format: ' + job.options.format);
+		}
+		this.jobs.set(job.id, job);
+		this.queue.push(job);
+		this._log('Job', job.id, 'queued:', job.name);
+		this._next();
+		return job;
+	}.bind(this), function(err) {
+		if (job.dir) { P.removeDir(job.dir).catch(function() {}); }
+		throw err;
+	});
+};
+
+// Return a promise for the JSON body of `req`.
+Server.prototype._readJson = function(req) {
+	return new Promise(function(resolve, reject) {
+		var chunks = [], size = 0;
+		req.on('data', function(chunk) {
+			size += chunk.length;
+			if (size > MAX_JSON) {
+				reject(httpError(413, 'Request too large'));
+				req.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		}).on('end', function() {
+			try {
+				resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+			} catch (e) {
+				reject(httpError(400, 'Bad JSON: ' + e.message));
+			}
+		}).on('error', reject);
+	});
+};
+
+// Start queued jobs, up to the concurrency limit.
+Server.prototype._next = function() {
+	while (this.running < this.concurrency && this.queue.length) {
+		this._run(this.queue.shift());
+	}
+};
+
+// Run a job.
+Server.prototype._run = function(job) {
+	var start = Date.now();
+	this.running++;
+	job.state = 'running';
+	job.message = 'Running';
+	texter.convert(Object.assign({}, job.options, this.options.defaults, {
+		bundle: job.bundle,
+		output: job.output,
+		tmpdir: this.options.tmpdir,
+		progress: function(msg) {
+			job.percent = msg.percent;
+			job.message = msg.message;
+			job.file = msg.file;
+		},
+		cancelled: function() { return job.state === 'cancelled'; }
+	})).then(function() {
+		if (job.state !== 'cancelled') {
+			job.state = 'done';
+			job.percent = 100;
+		}
+	}, function(err) {
+		if (job.state !== 'cancelled') {
+			job.state = 'failed';
+			job.error = err.message;
+		}
+	}).then(function() {
+		this._log('Job', job.id, job.state, 'in',
+				  ((Date.now() - start) / 1000).toFixed(1) + 's' +
+				  (job.error ? (': ' + job.error) : ''));
+		this.running--;
+		if (job.removed) { P.removeDir(job.dir).catch(function() {}); }
+		this._next();
+	}.bind(this)).done();
+};
+
+// Cancel the job `id` (if it hasn't finished) and forget about it.
+// Its files are removed once it has stopped.  Returns a promise which
+// is resolved once the job is gone.
+Server.prototype._remove = function(id) {
+	var job = this.jobs.get(id);
+	this.jobs.delete(id);
+	job.removed = true;
+	var queued = this.queue.indexOf(job);
+	if (queued >= 0) { this.queue.splice(queued, 1); }
+	if (job.state === 'queued' || job.state === 'running') {
+		this._log('Job', job.id, 'cancelled');
+		var running = (job.state === 'running');
+		job.state = 'cancelled';
+		// a running job removes its files once it notices
+		if (running) { return Promise.resolve(); }
+	}
+	return P.removeDir(job.dir).catch(function() {});
+};
+
+// Send the output of a finished job.
+Server.prototype._output = function(job, res) {
+	if (job.state !== 'done') {
+		throw httpError(409, 'Job ' + job.id + ' is ' + job.state);
+	}
+	return P.call(fs.stat, fs, job.output).then(function(stat) {
+		res.writeHead(200, {
+			'Content-Type': CONTENT_TYPES[job.options.format || 'text'],
+			'Content-Length': stat.size
+		});
+		fs.createReadStream(job.output).pipe(res);
+	});
+};
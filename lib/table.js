@@ -0,0 +1,315 @@
+/** Lay out HTML tables as fixed-width text grids. */
+"use strict";
+require('es6-shim');
+
+var LineBreak = require('./linebreak');
+
+// Box-drawing characters, indexed by the set of "arms" leaving a junction.
+var UP = 1, DOWN = 2, LEFT = 4, RIGHT = 8;
+var BOX = {
+	ascii: {
+		single: [' ', '|', '|', '|', '-', '+', '+', '+',
+				 '-', '+', '+', '+', '-', '+', '+', '+'],
+		double: [' ', '|', '|', '|', '=', '+', '+', '+',
+				 '=', '+', '+', '+', '=', '+', '+', '+']
+	},
+	unicode: {
+		single: [' ', '│', '│', '│',
+				 '─', '┘', '┐', '┤',
+				 '─', '└', '┌', '├',
+				 '─', '┴', '┬', '┼'],
+		double: [' ', '│', '│', '│',
+				 '═', '╛', '╕', '╡',
+				 '═', '╘', '╒', '╞',
+				 '═', '╧', '╤', '╪']
+	}
+};
+
+var width = LineBreak.width;
+
+// Split a string into an array of characters (keeping surrogate pairs).
+var chars = function(str) {
+	return str.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+};
+
+// Wrap `text` into lines at most `w` wide.  Words which are too long
+// are broken wherever necessary.
+var wrapText = function(text, w) {
+	return LineBreak.wrap(text, w, w, true);
+};
+
+// Pad `text` to width `w`, aligned left, right or center.
+var align = function(text, w, how) {
+	var extra = Math.max(0, w - width(text));
+	if (how === 'right') {
+		return ' '.repeat(extra) + text;
+	}
+	if (how === 'center') {
+		var left = Math.floor(extra / 2);
+		return ' '.repeat(left) + text + ' '.repeat(extra - left);
+	}
+	return text + ' '.repeat(extra);
+};
+
+// Numbers look best aligned to the right.
+var isNumeric = function(text) {
+	return /^[\-+−]?[$€£¥]?\d[\d.,\s%]*$/.test(text);
+};
+
+var Table = module.exports = function(options) {
+	this.options = options || {};
+	this.caption = '';
+	this.rows = [];
+};
+
+/** Set the table caption. */
+Table.prototype.setCaption = function(caption) {
+	this.caption = caption.trim();
+};
+
+/** Start a new table row. */
+Table.prototype.addRow = function() {
+	this.rows.push([]);
+};
+
+/** Add a cell to the current row.  `opts` may contain `header`,
+ * `colspan` and `rowspan` properties. */
+Table.prototype.addCell = function(text, opts) {
+	opts = opts || {};
+	if (!this.rows.length) { this.addRow(); }
+	this.rows[this.rows.length - 1].push({
+		text: text.replace(/\s+/g, ' ').trim(),
+		header: !!opts.header,
+		colspan: Math.max(1, opts.colspan || 1),
+		rowspan: Math.max(0, opts.rowspan === undefined ? 1 : opts.rowspan)
+	});
+};
+
+// Assign each cell to a grid position, following the HTML table model.
+Table.prototype._layout = function() {
+	var occupied = [], cells = [], ncols = 0, nrows = this.rows.length;
+	var isFree = function(r, c) {
+		return !(occupied[r] && occupied[r][c]);
+	};
+	this.rows.forEach(function(row, r) {
+		var c = 0;
+		row.forEach(function(cell) {
+			while (!isFree(r, c)) { c++; }
+			var rowspan = cell.rowspan || (nrows - r); // rowspan=0: to the end
+			rowspan = Math.min(rowspan, nrows - r);
+			for (var i = 0; i < rowspan; i++) {
+				occupied[r + i] = occupied[r + i] || [];
+				for (var j = 0; j < cell.colspan; j++) {
+					occupied[r + i][c + j] = true;
+				}
+			}
+			cells.push({
+				text: cell.text,
+				header: cell.header,
+				row: r,
+				col: c,
+				rowspan: rowspan,
+				colspan: cell.colspan
+			});
+			c += cell.colspan;
+			ncols = Math.max(ncols, c);
+		});
+	});
+	// fill in holes so that every grid position is covered by some cell
+	for (var r = 0; r < nrows; r++) {
+		for (var c = 0; c < ncols; c++) {
+			if (isFree(r, c)) {
+				cells.push({
+					text: '', header: false,
+					row: r, col: c, rowspan: 1, colspan: 1
+				});
+			}
+		}
+	}
+	// leading rows made up entirely of header cells
+	var headerRows = 0;
+	while (headerRows < nrows && cells.every(function(cell) {
+		return cell.row !== headerRows || cell.header;
+	})) {
+		headerRows++;
+	}
+	return {
+		cells: cells,
+		nrows: nrows,
+		ncols: ncols,
+		headerRows: headerRows < nrows ? headerRows : 0
+	};
+};
+
+// Choose column widths so that the table fits in `maxWidth` columns.
+// Returns null if that is impossible.
+Table.prototype._columnWidths = function(grid, maxWidth) {
+	var natural = [], minimum = [], c;
+	for (c = 0; c < grid.ncols; c++) {
+		natural[c] = minimum[c] = 1;
+	}
+	var cells = grid.cells.slice().sort(function(a, b) {
+		return a.colspan - b.colspan;
+	});
+	var sum = function(a, from, to) {
+		for (var i = from, s = 0; i < to; i++) { s += a[i]; }
+		return s;
+	};
+	var grow = function(a, cell, w) {
+		// separators between spanned columns are available to the cell, too
+		var extra = w - sum(a, cell.col, cell.col + cell.colspan) -
+			3 * (cell.colspan - 1);
+		for (var i = 0; extra > 0; i++) {
+			var share = Math.ceil(extra / (cell.colspan - i));
+			a[cell.col + i] += share;
+			extra -= share;
+		}
+	};
+	cells.forEach(function(cell) {
+		var longest = LineBreak.segments(cell.text).reduce(function(m, seg) {
+			return Math.max(m, width(seg.text.trim()));
+		}, 0);
+		grow(natural, cell, width(cell.text));
+		grow(minimum, cell, longest);
+	});
+	for (c = 0; c < grid.ncols; c++) {
+		natural[c] = Math.max(natural[c], minimum[c]);
+	}
+	var budget = maxWidth - (3 * grid.ncols + 1);
+	var totalNatural = sum(natural, 0, grid.ncols);
+	var totalMinimum = sum(minimum, 0, grid.ncols);
+	if (totalNatural <= budget) {
+		return natural;
+	}
+	if (totalMinimum > budget) {
+		return null;
+	}
+	// hand out the remaining space in proportion to each column's need
+	var spare = budget - totalMinimum, need = totalNatural - totalMinimum;
+	var widths = minimum.map(function(m, i) {
+		return m + Math.floor(spare * (natural[i] - m) / need);
+	});
+	spare = budget - sum(widths, 0, grid.ncols);
+	for (c = 0; spare > 0; c = (c + 1) % grid.ncols) {
+		if (widths[c] < natural[c]) { widths[c]++; spare--; }
+	}
+	return widths;
+};
+
+/** Render the table as an array of lines no wider than `maxWidth`.
+ * Returns null if the table can't be made to fit. */
+Table.prototype.render = function(maxWidth) {
+	var grid = this._layout();
+	if (!grid.cells.length) { return []; }
+	var widths = this._columnWidths(grid, maxWidth);
+	if (!widths) { return null; }
+	var box = BOX[this.options.style] || BOX.ascii;
+	var X = [0], Y = [0], heights = [], r, c;
+	widths.forEach(function(w, i) { X[i + 1] = X[i] + w + 3; });
+	// wrap the cell contents and find the row heights
+	grid.cells.forEach(function(cell) {
+		cell.lines = wrapText(
+			cell.text, X[cell.col + cell.colspan] - X[cell.col] - 3
+		);
+	});
+	for (r = 0; r < grid.nrows; r++) { heights[r] = 1; }
+	grid.cells.slice().sort(function(a, b) {
+		return a.rowspan - b.rowspan;
+	}).forEach(function(cell) {
+		var last = cell.row + cell.rowspan - 1, avail = cell.rowspan - 1;
+		for (r = cell.row; r <= last; r++) { avail += heights[r]; }
+		if (cell.lines.length > avail) {
+			heights[last] += cell.lines.length - avail;
+		}
+	});
+	heights.forEach(function(h, i) { Y[i + 1] = Y[i] + h + 1; });
+	// draw the borders and text onto a character canvas
+	var w = X[grid.ncols] + 1, h = Y[grid.nrows] + 1;
+	var canvas = [], hEdge = [], vEdge = [];
+	for (r = 0; r < h; r++) {
+		canvas[r] = []; hEdge[r] = []; vEdge[r] = [];
+		for (c = 0; c < w; c++) { canvas[r][c] = ' '; }
+	}
+	grid.cells.forEach(function(cell) {
+		var x0 = X[cell.col], x1 = X[cell.col + cell.colspan];
+		var y0 = Y[cell.row], y1 = Y[cell.row + cell.rowspan];
+		var x, y;
+		for (x = x0; x < x1; x++) { hEdge[y0][x] = hEdge[y1][x] = true; }
+		for (y = y0; y < y1; y++) { vEdge[y][x0] = vEdge[y][x1] = true; }
+		var how = cell.header ? 'center' :
+			isNumeric(cell.text) ? 'right' : 'left';
+		cell.lines.forEach(function(line, i) {
+			var row = canvas[y0 + 1 + i], x = x0 + 2;
+			chars(align(line, x1 - x0 - 3, how)).forEach(function(ch) {
+				// wide characters take up two places on the canvas, and
+				// combining marks none
+				var cw = width(ch);
+				if (!cw) { row[x - 1] += ch; return; }
+				row[x] = ch;
+				if (cw > 1) { row[x + 1] = ''; }
+				x += cw;
+			});
+		});
+	});
+	var doubleRow = grid.headerRows ? Y[grid.headerRows] : -1;
+	for (r = 0; r < h; r++) {
+		var set = (r === doubleRow) ? box.double : box.single;
+		for (c = 0; c < w; c++) {
+			/* jshint bitwise: false */
+			var arms =
+				(vEdge[r - 1] && vEdge[r - 1][c] ? UP : 0) |
+				(vEdge[r][c] ? DOWN : 0) |
+				(hEdge[r][c - 1] ? LEFT : 0) |
+				(hEdge[r][c] ? RIGHT : 0);
+			if (arms) { canvas[r][c] = set[arms]; }
+		}
+	}
+	var lines = canvas.map(function(row) {
+		return row.join('').replace(/\s+$/, '');
+	});
+	if (this.caption) {
+		lines = wrapText(this.caption, w).map(function(line) {
+			return align(line, w, 'center').replace(/\s+$/, '');
+		}).concat(lines);
+	}
+	return lines;
+};
+
+/** Return the cell contents as a rectangular array of rows; cells which
+ * span several grid positions appear only in the first.  The number of
+ * leading header rows is given by the `headerRows` property. */
+Table.prototype.matrix = function() {
+	var grid = this._layout(), rows = [], r;
+	for (r = 0; r < grid.nrows; r++) {
+		rows[r] = [];
+		for (var c = 0; c < grid.ncols; c++) { rows[r][c] = ''; }
+	}
+	grid.cells.forEach(function(cell) {
+		rows[cell.row][cell.col] = cell.text;
+	});
+	rows.headerRows = grid.headerRows;
+	return rows;
+};
+
+/** Return the contents of the table as a list of rows, for use when
+ * the table can't be drawn as a grid.  Each row is a list of
+ * `{ label, text }` cells; the labels come from the table headers. */
+Table.prototype.linearize = function() {
+	var grid = this._layout(), labels = [], rows = [], c;
+	grid.cells.forEach(function(cell) {
+		if (cell.row >= grid.headerRows || !cell.text) { return; }
+		for (c = cell.col; c < cell.col + cell.colspan; c++) {
+			labels[c] = labels[c] ? (labels[c] + ' / ' + cell.text) : cell.text;
+		}
+	});
+	grid.cells.filter(function(cell) {
+		return cell.row >= grid.headerRows && cell.text;
+	}).sort(function(a, b) {
+		return (a.row - b.row) || (a.col - b.col);
+	}).forEach(function(cell) {
+		var row = rows[cell.row - grid.headerRows] =
+			rows[cell.row - grid.headerRows] || [];
+		row.push({ label: labels[cell.col] || '', text: cell.text });
+	});
+	return rows.filter(function(row) { return row; });
+};
@@ -0,0 +1,45 @@
+// Table of contents.
+// ---------------------------------------------------------------------
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var util = require('util');
+
+var Formatter = require('./formatter');
+
+/** A formatter which doesn't write anything, but collects the (numbered)
+ * headings of the collection.  Running a first pass over the collection
+ * with this lets us write the table of contents before the collection
+ * itself, without buffering the output.
+ */
+var TocFormatter = module.exports = function(options) {
+	Formatter.call(this, null, options);
+	this.entries = [];
+};
+util.inherits(TocFormatter, Formatter);
+
+TocFormatter.prototype.writeHeading = function(level, heading) {
+	this.entries.push({
+		level: level,
+		number: this.headingNumber(level),
+		title: heading.replace(/\s+/g, ' ').trim()
+	});
+};
+
+// Everything else is thrown away.
+TocFormatter.prototype._write =
+TocFormatter.prototype.write =
+TocFormatter.prototype.writeBlock =
+TocFormatter.prototype.writeCode =
+TocFormatter.prototype.writeTable =
+TocFormatter.prototype.writeMath =
+TocFormatter.prototype.writeLinks = function() {
+};
+TocFormatter.prototype.markup = function(kind, arg) {
+	/* jshint unused: vars */
+	return null;
+};
+TocFormatter.prototype.flush = function() {
+	return Promise.resolve();
+};
@@ -0,0 +1,1145 @@
+/** Convert TeX math (as accepted by the Math extension) to the linear
+ * format of UnicodeMath, the "Unicode Nearly Plain-Text Encoding of
+ * Mathematics" described in Unicode Technical Note #28. */
+"use strict";
+require('es6-shim');
+
+var LineBreak = require('./linebreak');
+
+var submap = {
+	'0': '\u2080',
+	'1': '\u2081',
+	'2': '\u2082',
+	'3': '\u2083',
+	'4': '\u2084',
+	'5': '\u2085',
+	'6': '\u2086',
+	'7': '\u2087',
+	'8': '\u2088',
+	'9': '\u2089',
+	'+': '\u208a',
+	'-': '\u208b',
+	'=': '\u208c',
+	'(': '\u208d',
+	')': '\u208e',
+	'a': '\u2090',
+	'e': '\u2091',
+	'o': '\u2092',
+	'x': '\u2093',
+	'h': '\u2095',
+	'k': '\u2096',
+	'l': '\u2097',
+	'm': '\u2098',
+	'n': '\u2099',
+	'p': '\u209a',
+	's': '\u209b',
+	't': '\u209c',
+	// and whitespace
+	' ': ' ',
+	'\u00A0': '\u00A0'
+};
+
+var supmap = {
+	'2': '\u00B2',
+	'3': '\u00B3',
+	'1': '\u00B9',
+	'0': '\u2070',
+	'i': '\u2071',
+	'4': '\u2074',
+	'5': '\u2075',
+	'6': '\u2076',
+	'7': '\u2077',
+	'8': '\u2078',
+	'9': '\u2079',
+	'+': '\u207a',
+	'-': '\u207b',
+	'=': '\u207c',
+	'(': '\u207d',
+	')': '\u207e',
+	'n': '\u207f',
+	// and whitespace
+	' ': ' ',
+	'\u00A0': '\u00A0'
+};
+var subre =
+	new RegExp('^['+Object.keys(submap).join('').replace(/(-)/g, '\\$1')+']+$');
+var supre =
+	new RegExp('^['+Object.keys(supmap).join('').replace(/(-)/g, '\\$1')+']+$');
+
+// Symbols, by TeX spacing class.
+var SYMBOLS = Object.create(null);
+var defineSymbols = function(cls, table) {
+	Object.keys(table).forEach(function(name) {
+		SYMBOLS[name] = { cls: cls, text: table[name] };
+	});
+};
+defineSymbols('ord', {
+	alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ',
+	varepsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ',
+	iota: 'ι', kappa: 'κ', varkappa: 'ϰ', lambda: 'λ', mu: 'μ', nu: 'ν',
+	xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ',
+	sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+	varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω', digamma: 'ϝ',
+	Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+	Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+
+	aleph: 'ℵ', beth: 'ℶ', ell: 'ℓ', hbar: 'ℏ', hslash: 'ℏ', imath: 'ı',
+	jmath: 'ȷ', wp: '℘', Re: 'ℜ', Im: 'ℑ', mho: '℧', infty: '∞',
+	partial: '∂', nabla: '∇', forall: '∀', exists: '∃', nexists: '∄',
+	neg: '¬', lnot: '¬', emptyset: '∅', varnothing: '∅', complement: '∁',
+	prime: '′', angle: '∠', triangle: '△', Box: '□', square: '□',
+	blacksquare: '∎', top: '⊤', bot: '⊥', flat: '♭', natural: '♮',
+	sharp: '♯', clubsuit: '♣', diamondsuit: '♢', heartsuit: '♡',
+	spadesuit: '♠', surd: '√', degree: '°', checkmark: '✓',
+	ldots: '…', dots: '…', dotsc: '…', dotso: '…', cdots: '⋯',
+	dotsb: '⋯', dotsm: '⋯', vdots: '⋮', ddots: '⋱', therefore: '∴',
+	because: '∵', backslash: '\\', vert: '|', Vert: '‖', '|': '‖',
+	'#': '#', '$': '$', '%': '%', '&': '&', '_': '_', S: '§', P: '¶',
+	pounds: '£', copyright: '©'
+});
+defineSymbols('bin', {
+	pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗',
+	star: '⋆', circ: '∘', bullet: '∙', oplus: '⊕', ominus: '⊖',
+	otimes: '⊗', oslash: '⊘', odot: '⊙', cup: '∪', cap: '∩',
+	setminus: '∖', smallsetminus: '∖', wedge: '∧', land: '∧', vee: '∨',
+	lor: '∨', sqcup: '⊔', sqcap: '⊓', uplus: '⊎', amalg: '⨿',
+	dagger: '†', ddagger: '‡', wr: '≀', diamond: '⋄',
+	bigtriangleup: '△', bigtriangledown: '▽', triangleleft: '◁',
+	triangleright: '▷', lhd: '⊲', rhd: '⊳', unlhd: '⊴', unrhd: '⊵'
+});
+defineSymbols('rel', {
+	leq: '≤', le: '≤', geq: '≥', ge: '≥', leqslant: '⩽', geqslant: '⩾',
+	neq: '≠', ne: '≠', approx: '≈', sim: '∼', simeq: '≃', cong: '≅',
+	equiv: '≡', propto: '∝', doteq: '≐', asymp: '≍', triangleq: '≜',
+	coloneqq: '≔', lesssim: '≲', gtrsim: '≳', ll: '≪', gg: '≫',
+	prec: '≺', succ: '≻', preceq: '⪯', succeq: '⪰', in: '∈',
+	notin: '∉', ni: '∋', owns: '∋', subset: '⊂', supset: '⊃',
+	subseteq: '⊆', supseteq: '⊇', subsetneq: '⊊', supsetneq: '⊋',
+	sqsubseteq: '⊑', sqsupseteq: '⊒', perp: '⊥', parallel: '∥',
+	mid: '∣', nmid: '∤', models: '⊨', vdash: '⊢', dashv: '⊣',
+	bowtie: '⋈', smile: '⌣', frown: '⌢',
+	leftarrow: '←', gets: '←', Leftarrow: '⇐', rightarrow: '→',
+	to: '→', Rightarrow: '⇒', leftrightarrow: '↔', Leftrightarrow: '⇔',
+	longleftarrow: '⟵', Longleftarrow: '⟸', longrightarrow: '⟶',
+	Longrightarrow: '⟹', longleftrightarrow: '⟷',
+	Longleftrightarrow: '⟺', iff: '⟺', implies: '⟹', impliedby: '⟸',
+	mapsto: '↦', longmapsto: '⟼', hookleftarrow: '↩',
+	hookrightarrow: '↪', leftharpoonup: '↼', leftharpoondown: '↽',
+	rightharpoonup: '⇀', rightharpoondown: '⇁', rightleftharpoons: '⇌',
+	uparrow: '↑', Uparrow: '⇑', downarrow: '↓', Downarrow: '⇓',
+	updownarrow: '↕', Updownarrow: '⇕', nearrow: '↗', searrow: '↘',
+	swarrow: '↙', nwarrow: '↖', leadsto: '⇝'
+});
+defineSymbols('open', {
+	'{': '{', lbrace: '{', lbrack: '[', langle: '⟨', lfloor: '⌊',
+	lceil: '⌈', lvert: '|', lVert: '‖'
+});
+defineSymbols('close', {
+	'}': '}', rbrace: '}', rbrack: ']', rangle: '⟩', rfloor: '⌋',
+	rceil: '⌉', rvert: '|', rVert: '‖'
+});
+defineSymbols('punct', { colon: ':' });
+// n-ary operators, which take limits
+defineSymbols('op', {
+	sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭',
+	oint: '∮', oiint: '∯', bigcup: '⋃', bigcap: '⋂', bigvee: '⋁',
+	bigwedge: '⋀', bigoplus: '⨁', bigotimes: '⨂', bigodot: '⨀',
+	biguplus: '⨄', bigsqcup: '⨆',
+	det: 'det', gcd: 'gcd', inf: 'inf', lim: 'lim', liminf: 'lim inf',
+	limsup: 'lim sup', max: 'max', min: 'min', Pr: 'Pr', sup: 'sup'
+});
+// named functions, which are set apart from their argument
+defineSymbols('fn', {
+	arccos: 'arccos', arcsin: 'arcsin', arctan: 'arctan', arg: 'arg',
+	cos: 'cos', cosh: 'cosh', cot: 'cot', coth: 'coth', csc: 'csc',
+	deg: 'deg', dim: 'dim', exp: 'exp', hom: 'hom', ker: 'ker', lg: 'lg',
+	ln: 'ln', log: 'log', sec: 'sec', sin: 'sin', sinh: 'sinh', tan: 'tan',
+	tanh: 'tanh'
+});
+defineSymbols('space', {
+	' ': ' ', ',': ' ', ':': ' ', ';': ' ', '>': ' ', quad: ' ',
+	qquad: ' ', enspace: ' ', thinspace: ' ', medspace: ' ',
+	thickspace: ' '
+});
+
+// Negated relations, for \not.
+var NEGATED = {
+	'=': '≠', '<': '≮', '>': '≯', '≤': '≰', '≥': '≱', '∈': '∉',
+	'∋': '∌', '⊂': '⊄', '⊃': '⊅', '⊆': '⊈', '⊇': '⊉', '≡': '≢',
+	'∼': '≁', '≃': '≄', '≅': '≇', '≈': '≉', '∣': '∤', '∥': '∦'
+};
+
+// Accents: a combining mark for a single-character base, and (where
+// UTN28 has one) a prefix operator for wider bases.
+var ACCENTS = {
+	hat: ['\u0302'], widehat: ['\u0302'], check: ['\u030C'],
+	tilde: ['\u0303'], widetilde: ['\u0303'], acute: ['\u0301'],
+	grave: ['\u0300'], dot: ['\u0307'], ddot: ['\u0308'],
+	dddot: ['\u20DB'], breve: ['\u0306'], mathring: ['\u030A'],
+	vec: ['\u20D7'], overrightarrow: ['\u20D7'],
+	overleftarrow: ['\u20D6'], bar: ['\u0304', '¯'],
+	overline: ['\u0305', '¯'], underline: ['\u0332', '▁'],
+	overbrace: [null, '⏞'], underbrace: [null, '⏟'], boxed: [null, '▭']
+};
+
+// Matrix environments, and the delimiters around them.
+var MATRICES = {
+	pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+	vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''],
+	dcases: ['{', ''], rcases: ['', '}']
+};
+// Environments which make up a whole display, one row per line.
+var LINES = /^(align|aligned|alignat|alignedat|array|eqnarray|equation|flalign|gather|gathered|multline|split|xalignat)$/;
+
+// Alphanumerics in the double-struck, script and fraktur alphabets;
+// some of the letters were encoded before the rest.
+var FONTS = {
+	bb: {
+		A: 0x1D538, a: 0x1D552, 0: 0x1D7D8,
+		C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ'
+	},
+	cal: {
+		A: 0x1D49C, a: 0x1D4B6,
+		B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ',
+		e: 'ℯ', g: 'ℊ', o: 'ℴ'
+	},
+	frak: {
+		A: 0x1D504, a: 0x1D51E,
+		C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ'
+	}
+};
+FONTS.scr = FONTS.cal;
+var mapLetters = function(text, font) {
+	return text.replace(/[A-Za-z0-9]/g, function(c) {
+		if (typeof font[c] === 'string') { return font[c]; }
+		var first = /[A-Z]/.test(c) ? 'A' : /[a-z]/.test(c) ? 'a' : '0';
+		if (!font[first]) { return c; }
+		return String.fromCodePoint(
+			font[first] + c.charCodeAt(0) - first.charCodeAt(0)
+		);
+	});
+};
+
+var warned = {};
+
+// Commands which take arguments, or are otherwise special; they are
+// defined along with the parser.
+var COMMANDS = Object.create(null);
+var renderList, render;
+
+var atom = function(cls, text) {
+	return { type: 'atom', cls: cls, text: text };
+};
+var SPACE = atom('space', ' ');
+
+var charAtom = function(ch) {
+	if (/^[+\-*±∓×÷⋅]$/.test(ch)) { return atom('bin', ch); }
+	if (/^[=<>:≤≥≠≈→←]$/.test(ch)) { return atom('rel', ch); }
+	if (/^[,;]$/.test(ch)) { return atom('punct', ch); }
+	if (/^[(\[]$/.test(ch)) { return atom('open', ch); }
+	if (/^[)\].!]$/.test(ch)) { return atom('close', ch); }
+	if (ch === '~') { return SPACE; }
+	return atom('ord', ch);
+};
+
+// Plain text from a text-mode argument.
+var cleanText = function(text) {
+	return text.replace(/\\([{}$&%#_ ])/g, '$1').replace(/[${}]/g, '').
+		replace(/~/g, ' ').replace(/\s+/g, ' ');
+};
+
+// Split TeX source into control sequences and characters; whitespace
+// and comments are dropped.  Tokens remember their position in the
+// source, so text arguments can be recovered verbatim.
+var tokenize = function(tex) {
+	var re = /\\([A-Za-z]+|[\s\S]?)|%[^\n]*|\s+|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g;
+	var tokens = [], m;
+	while ((m = re.exec(tex)) !== null) {
+		var t = { start: m.index, end: re.lastIndex };
+		if (m[1] !== undefined) {
+			t.cs = m[1];
+		} else if (/^[%\s]/.test(m[0])) {
+			continue;
+		} else {
+			t.ch = m[0];
+		}
+		tokens.push(t);
+	}
+	return tokens;
+};
+
+var Parser = function(tex) {
+	this.src = tex;
+	this.tokens = tokenize(tex);
+	this.i = 0;
+	// how many groups, \left delimiters and environments are open
+	this.braces = this.lefts = this.envs = 0;
+};
+
+Parser.prototype.peek = function(n) {
+	return this.tokens[this.i + (n || 0)] || {};
+};
+Parser.prototype.next = function() {
+	return this.tokens[this.i++] || {};
+};
+
+// Parse a list of atoms.  When `rows` is true, stop at cell and row
+// separators; otherwise they are treated as space.
+Parser.prototype.parseExpression = function(rows, stop) {
+	var list = [], t, a;
+	while (this.i < this.tokens.length) {
+		t = this.peek();
+		if (stop && t.ch === stop) { break; }
+		if (t.ch === '}') {
+			if (this.braces) { break; }
+			this.next(); // unbalanced; ignore
+			continue;
+		}
+		if (t.cs === 'right') {
+			if (this.lefts) { break; }
+			this.next();
+			list.push(atom('close', this.delimiter()));
+			continue;
+		}
+		if (t.cs === 'end') {
+			if (this.envs) { break; }
+			this.next();
+			this.rawArg();
+			continue;
+		}
+		if (t.ch === '&' || t.cs === '\\' || t.cs === 'cr' ||
+			t.cs === 'newline') {
+			if (rows) { break; }
+			this.next();
+			list.push(SPACE);
+			continue;
+		}
+		if (t.ch === '^' || t.ch === '_' || t.ch === "'") {
+			a = this.parseScripts(null);
+		} else {
+			a = this.parseAtom(false);
+			if (a) { a = this.parseScripts(a); }
+		}
+		if (a) { list.push(a); }
+	}
+	return list;
+};
+
+// Parse the cells of a table: a list of rows, each a list of cells.
+Parser.prototype.parseRows = function() {
+	var rows = [[]], t;
+	while (true) {
+		rows[rows.length - 1].push(this.parseExpression(true));
+		t = this.peek();
+		if (t.ch === '&') {
+			this.next();
+		} else if (t.cs === '\\' || t.cs === 'cr' || t.cs === 'newline') {
+			this.next();
+			this.optArg(); // vertical space
+			rows.push([]);
+		} else {
+			break;
+		}
+	}
+	var last = rows[rows.length - 1];
+	if (rows.length > 1 && last.length === 1 && !last[0].length) {
+		rows.pop(); // trailing row separator
+	}
+	return rows;
+};
+
+// Attach any following subscripts, superscripts and primes to `base`.
+Parser.prototype.parseScripts = function(base) {
+	var script = null, t;
+	while (true) {
+		t = this.peek();
+		if (t.cs === 'limits' || t.cs === 'nolimits') {
+			this.next();
+			continue;
+		}
+		if (!(t.ch === '^' || t.ch === '_' || t.ch === "'")) { break; }
+		this.next();
+		script = script ||
+			{ type: 'script', base: base, sub: null, sup: null, primes: '' };
+		if (t.ch === "'") {
+			script.primes += '′';
+			continue;
+		}
+		var which = (t.ch === '_') ? 'sub' : 'sup';
+		script[which] = (script[which] || []).concat(this.arg());
+	}
+	if (script) {
+		script.primes = script.primes.replace('′′′', '‴').replace('′′', '″');
+	}
+	return script || base;
+};
+
+// Parse a single atom.  A `single` atom is one token long, as for the
+// unbraced argument of a command; otherwise digits make up a number.
+Parser.prototype.parseAtom = function(single) {
+	var t = this.next(), text;
+	if (t.ch === '{') {
+		return { type: 'group', body: this.parseGroup() };
+	}
+	if (t.ch !== undefined) {
+		if (/[0-9]/.test(t.ch) && !single) {
+			text = t.ch;
+			while (/[0-9]/.test(this.peek().ch) ||
+				   (this.peek().ch === '.' && /[0-9]/.test(this.peek(1).ch))) {
+				text += this.next().ch;
+			}
+			return atom('ord', text);
+		}
+		return charAtom(t.ch);
+	}
+	if (t.cs === undefined) { return null; }
+	if (SYMBOLS[t.cs]) {
+		return atom(SYMBOLS[t.cs].cls, SYMBOLS[t.cs].text);
+	}
+	if (COMMANDS[t.cs]) {
+		return COMMANDS[t.cs].call(this, t.cs);
+	}
+	if (!warned.hasOwnProperty(t.cs)) {
+		console.warn('Unknown math function: ' + t.cs);
+		warned[t.cs] = true;
+	}
+	return atom('ord', '\\' + t.cs);
+};
+
+// The rest of a group, after its opening brace.
+Parser.prototype.parseGroup = function() {
+	this.braces++;
+	var body = this.parseExpression(false);
+	this.braces--;
+	if (this.peek().ch === '}') { this.next(); }
+	return body;
+};
+
+// A command argument: a group, or a single token.
+Parser.prototype.arg = function() {
+	var t = this.peek();
+	if (t.ch === undefined && t.cs === undefined) { return []; }
+	if (t.ch === '}' || t.ch === '&' || t.cs === '\\') { return []; }
+	var a = this.parseAtom(true);
+	if (a && a.type === 'group') { return a.body; }
+	return a ? [a] : [];
+};
+
+// An optional argument in square brackets, or null.
+Parser.prototype.optArg = function() {
+	if (this.peek().ch !== '[') { return null; }
+	this.next();
+	var list = this.parseExpression(false, ']');
+	if (this.peek().ch === ']') { this.next(); }
+	return list;
+};
+
+// The source text of an argument, for text-mode commands and names.
+Parser.prototype.rawArg = function() {
+	var t = this.peek();
+	if (t.ch !== '{') {
+		if (t.ch === '}') { return ''; }
+		this.next();
+		return t.ch || t.cs || '';
+	}
+	var src = this.src, depth = 0, pos;
+	for (pos = t.start; pos < src.length; pos++) {
+		if (src[pos] === '\\') {
+			pos++;
+		} else if (src[pos] === '{') {
+			depth++;
+		} else if (src[pos] === '}' && --depth === 0) {
+			break;
+		}
+	}
+	while (this.i < this.tokens.length && this.peek().start <= pos) {
+		this.next();
+	}
+	return src.slice(t.start + 1, pos);
+};
+
+// The delimiter following \left, \right, or \middle.
+Parser.prototype.delimiter = function() {
+	var t = this.next();
+	if (t.ch !== undefined) {
+		return (t.ch === '.') ? '' : t.ch;
+	}
+	return SYMBOLS[t.cs] ? SYMBOLS[t.cs].text : '';
+};
+
+Parser.prototype.environment = function(name) {
+	var env = name.replace(/\*$/, '');
+	if (/^(array|subarray|alignat|alignedat|xalignat)$/.test(env)) {
+		this.optArg();
+		this.rawArg(); // column specification, or count
+	}
+	this.envs++;
+	var rows = this.parseRows();
+	this.envs--;
+	if (this.peek().cs === 'end') {
+		this.next();
+		this.rawArg();
+	}
+	return { type: 'matrix', env: env, rows: rows };
+};
+
+// Commands which take arguments, or are otherwise special.
+var defineCommand = function(names, fn) {
+	names.split(' ').forEach(function(name) { COMMANDS[name] = fn; });
+};
+defineCommand('frac dfrac tfrac cfrac', function() {
+	return { type: 'frac', num: this.arg(), den: this.arg() };
+});
+defineCommand('binom dbinom tbinom', function() {
+	return { type: 'binom', top: this.arg(), bottom: this.arg() };
+});
+defineCommand('sqrt', function() {
+	var index = this.optArg();
+	return { type: 'sqrt', index: index, body: this.arg() };
+});
+defineCommand('left', function() {
+	var open = this.delimiter(), close = '';
+	this.lefts++;
+	var body = this.parseExpression(false);
+	this.lefts--;
+	if (this.peek().cs === 'right') {
+		this.next();
+		close = this.delimiter();
+	}
+	return { type: 'delim', open: open, close: close, body: body };
+});
+defineCommand('middle', function() {
+	return atom('rel', this.delimiter());
+});
+defineCommand('big Big bigg Bigg bigl Bigl biggl Biggl ' +
+			  'bigr Bigr biggr Biggr bigm Bigm biggm Biggm', function() {
+	return this.parseAtom(true);
+});
+defineCommand('text textrm textit textbf textsf texttt textnormal ' +
+			  'mbox hbox', function() {
+	return { type: 'text', text: cleanText(this.rawArg()) };
+});
+defineCommand('operatorname', function() {
+	var star = (this.peek().ch === '*');
+	if (star) { this.next(); }
+	return atom(star ? 'op' : 'fn', cleanText(this.rawArg()).trim());
+});
+defineCommand('mathop', function() {
+	return atom('op', renderList(this.arg(), true).trim());
+});
+defineCommand('mathrm mathbf mathit mathsf mathtt mathnormal ' +
+			  'boldsymbol bm pmb cancel bcancel xcancel', function() {
+	return { type: 'group', body: this.arg() };
+});
+defineCommand('mathbb mathcal mathscr mathfrak', function(name) {
+	return { type: 'font', font: name.slice(4), body: this.arg() };
+});
+defineCommand('textcolor', function() {
+	this.rawArg();
+	return { type: 'group', body: this.arg() };
+});
+// font and style switches, and spacing we can't show
+defineCommand('rm bf it sf tt cal displaystyle textstyle scriptstyle ' +
+			  'scriptscriptstyle nonumber notag hline vline strut ' +
+			  'mathstrut ! negthinspace negmedspace negthickspace',
+			  function() {
+	return null;
+});
+defineCommand('label tag vphantom color', function() {
+	this.rawArg();
+	return null;
+});
+defineCommand('phantom hphantom hspace mspace', function() {
+	this.rawArg();
+	return SPACE;
+});
+defineCommand(Object.keys(ACCENTS).join(' '), function(name) {
+	return {
+		type: 'accent',
+		name: name,
+		mark: ACCENTS[name][0],
+		wide: ACCENTS[name][1],
+		body: this.arg()
+	};
+});
+defineCommand('overset stackrel', function() {
+	var over = this.arg();
+	return { type: 'overunder', base: this.arg(), over: over, under: null };
+});
+defineCommand('underset', function() {
+	var under = this.arg();
+	return { type: 'overunder', base: this.arg(), over: null, under: under };
+});
+defineCommand('not', function() {
+	var a = this.parseAtom(true);
+	if (!a || a.type !== 'atom') { return atom('rel', '\u0338'); }
+	return atom('rel', NEGATED[a.text] || (a.text + '\u0338'));
+});
+defineCommand('pmod', function() {
+	return { type: 'group', body: [
+		SPACE, atom('open', '('), atom('fn', 'mod')
+	].concat(this.arg(), [atom('close', ')')]) };
+});
+defineCommand('bmod mod', function() {
+	return atom('bin', 'mod');
+});
+defineCommand('begin', function() {
+	return this.environment(cleanText(this.rawArg()).trim());
+});
+defineCommand('substack', function() {
+	var rows = [];
+	if (this.peek().ch === '{') {
+		this.next();
+		this.braces++;
+		rows = this.parseRows();
+		this.braces--;
+		if (this.peek().ch === '}') { this.next(); }
+	}
+	return { type: 'matrix', env: 'substack', rows: rows };
+});
+
+// Rendering to the linear format
+// ---------------------------------------------------------------------
+
+// The TeX spacing class of an atom.
+var classOf = function(a) {
+	switch (a && a.type) {
+	case 'atom': return a.cls;
+	case 'script': return a.base ? classOf(a.base) : 'ord';
+	case 'frac': case 'binom': return 'frac';
+	case 'delim': return 'delim';
+	default: return 'ord';
+	}
+};
+
+// Binary operators at the start of an expression, or after another
+// operator, are unary.
+var UNARY_AFTER = {
+	bin: 1, unary: 1, rel: 1, open: 1, punct: 1, op: 1, fn: 1
+};
+
+// Is a space needed between atoms of these classes?  Within scripts
+// (`compact`) only what is needed to keep operands apart is used.
+var needSpace = function(prev, cls, compact) {
+	if (prev === 'unary') { return false; }
+	if (prev === 'op') { return true; }
+	if (prev === 'fn' && !/^(open|close|delim|punct)$/.test(cls)) {
+		return true;
+	}
+	if ((cls === 'op' || cls === 'fn') && /^(ord|close|delim|frac)$/.test(prev)) {
+		return true;
+	}
+	if (prev === 'frac' && /^(ord|open|delim|frac)$/.test(cls)) {
+		return true;
+	}
+	if (cls === 'frac' && /^(ord|close|delim)$/.test(prev)) {
+		return true;
+	}
+	if (compact) { return false; }
+	if (cls === 'bin' || cls === 'rel') {
+		return prev !== 'open' && !(prev === 'rel' && cls === 'rel');
+	}
+	if (prev === 'bin' || prev === 'rel' || prev === 'punct') {
+		return cls !== 'close' && cls !== 'punct';
+	}
+	return false;
+};
+
+// A list wrapped in a single pair of brackets.
+var isBracketed = function(list) {
+	var depth = 0;
+	return list.every(function(a, i) {
+		var cls = classOf(a);
+		if (cls === 'open') { depth++; }
+		if (cls === 'close') { depth--; }
+		return (i === list.length - 1) ? (cls === 'close' && depth === 0) :
+			(depth > 0);
+	});
+};
+
+// Does this list make up a single operand, which needs no parentheses?
+// Scripted operands are fine, except as a script themselves.
+var isSimple = function(list, inScript) {
+	list = list.filter(function(a) { return classOf(a) !== 'space'; });
+	if (list.length !== 1) {
+		return list.length > 1 && isBracketed(list);
+	}
+	var a = list[0];
+	switch (a.type) {
+	case 'group': case 'font': return isSimple(a.body, inScript);
+	case 'atom': case 'text':
+		return a.cls !== 'fn' && a.cls !== 'op' &&
+			(/^[0-9.]+$/.test(a.text) || Array.from(a.text).length === 1);
+	case 'accent': return !!a.mark && isSimple(a.body);
+	case 'sqrt': return !a.index && isSimple(a.body);
+	case 'script': return !inScript && !!a.base && isSimple([a.base]);
+	case 'delim': case 'matrix': return true;
+	default: return false;
+	}
+};
+
+// Render `list` as an operand, parenthesized if need be.
+var operand = function(list, compact, inScript) {
+	var s = renderList(list, compact).trim();
+	return isSimple(list, inScript) ? s : ('(' + s + ')');
+};
+
+// Map the text to Unicode subscript or superscript characters, if they
+// all exist.
+var subscript = function(text) {
+	if (!subre.test(text)) { return null; }
+	return text.replace(/[\s\S]/g, function(c) { return submap[c]; });
+};
+var superscript = function(text) {
+	if (!supre.test(text)) { return null; }
+	return text.replace(/[\s\S]/g, function(c) { return supmap[c]; });
+};
+
+renderList = function(list, compact) {
+	var out = '', prev = null, gap = '';
+	list.forEach(function(a) {
+		var cls = classOf(a);
+		if (cls === 'space') {
+			gap = ' ';
+			return;
+		}
+		if (cls === 'bin' && (prev === null || UNARY_AFTER[prev])) {
+			cls = 'unary';
+		}
+		var s = render(a, compact);
+		if (!s) { return; }
+		if (prev !== null && needSpace(prev, cls, compact)) { gap = ' '; }
+		// keep a script's operand apart from what follows
+		if (/[_^][^()\s]+$/.test(out) && /^[^\s,;.)\]}]/.test(s)) {
+			gap = ' ';
+		}
+		if (gap && !/ $/.test(out)) { out += gap; }
+		if (/ $/.test(out)) { s = s.replace(/^ /, ''); }
+		out += s;
+		prev = cls;
+		gap = '';
+	});
+	return (gap && !/ $/.test(out)) ? (out + gap) : out;
+};
+
+render = function(a, compact) {
+	var s;
+	switch (a.type) {
+	case 'atom':
+	case 'text':
+		return a.text;
+	case 'group':
+		return renderList(a.body, compact);
+	case 'font':
+		return mapLetters(renderList(a.body, compact), FONTS[a.font]);
+	case 'frac':
+		return operand(a.num, compact) + '/' + operand(a.den, compact);
+	case 'binom':
+		return '(' + renderList(a.top, compact).trim() + '¦' +
+			renderList(a.bottom, compact).trim() + ')';
+	case 'sqrt':
+		var index = a.index && renderList(a.index, true).trim();
+		if (!index) { return '√' + operand(a.body, compact); }
+		if (index === '3') { return '∛' + operand(a.body, compact); }
+		if (index === '4') { return '∜' + operand(a.body, compact); }
+		return '√(' + index + '&' + renderList(a.body, compact).trim() + ')';
+	case 'delim':
+		return a.open + renderList(a.body, compact).trim() + a.close;
+	case 'accent':
+		s = renderList(a.body, compact).trim();
+		if (a.mark && isSimple(a.body) && Array.from(s).length === 1) {
+			return s + a.mark;
+		}
+		return a.wide ? (a.wide + operand(a.body, compact)) :
+			('(' + s + ')' + a.mark);
+	case 'overunder':
+		return operand(a.base, compact) +
+			(a.over ? ('┴' + operand(a.over, compact)) : '') +
+			(a.under ? ('┬' + operand(a.under, compact)) : '');
+	case 'matrix':
+		var delims = MATRICES[a.env] || ['', ''];
+		return delims[0] + '■(' + a.rows.map(function(row) {
+			return row.map(function(cell) {
+				return renderList(cell, compact).trim();
+			}).join('&');
+		}).join('@') + ')' + delims[1];
+	case 'script':
+		var base = a.base ? render(a.base, compact).trim() : '';
+		if (a.base && a.base.type === 'group' && !isSimple([a.base])) {
+			base = '(' + base + ')';
+		}
+		base += a.primes;
+		var sub = a.sub && renderList(a.sub, true).trim();
+		var sup = a.sup && renderList(a.sup, true).trim();
+		// n-ary operators always use the linear form for their limits
+		if (classOf(a.base) !== 'op' &&
+			(!sub || subscript(sub) !== null) &&
+			(!sup || superscript(sup) !== null)) {
+			return base + (sub ? subscript(sub) : '') +
+				(sup ? superscript(sup) : '');
+		}
+		return base +
+			(sub ? ('_' + operand(a.sub, true, true)) : '') +
+			(sup ? ('^' + operand(a.sup, true, true)) : '');
+	}
+	return '';
+};
+
+// Two-dimensional layout
+// ---------------------------------------------------------------------
+
+var width = LineBreak.width;
+
+// A box is a list of lines, all padded to the same width; the line at
+// index `base` sits on the baseline of the surrounding text.
+var textBox = function(text) {
+	return { lines: [text], base: 0, width: width(text) };
+};
+
+// Combine boxes into one.  Each part gives a box, the row of its top
+// line (relative to the baseline of the result) and its left column.
+var compose = function(parts) {
+	var top = 0, bottom = 0, w = 0, lines = [], r;
+	parts = parts.map(function(p, i) {
+		top = Math.min(top, p.top);
+		bottom = Math.max(bottom, p.top + p.box.lines.length - 1);
+		w = Math.max(w, p.left + p.box.width);
+		return { box: p.box, top: p.top, left: p.left, i: i };
+	}).sort(function(a, b) { return (a.left - b.left) || (a.i - b.i); });
+	for (r = top; r <= bottom; r++) {
+		var line = '', col = 0;
+		parts.forEach(function(p) {
+			var line1 = p.box.lines[r - p.top];
+			if (line1 === undefined) { return; }
+			line += ' '.repeat(Math.max(0, p.left - col)) + line1;
+			col = Math.max(col, p.left) + p.box.width;
+		});
+		lines.push(line + ' '.repeat(Math.max(0, w - col)));
+	}
+	return { lines: lines, base: -top, width: w };
+};
+
+// Boxes side by side, on a common baseline.
+var hbox = function(boxes) {
+	var left = 0;
+	return compose(boxes.map(function(box) {
+		var p = { box: box, top: -box.base, left: left };
+		left += box.width;
+		return p;
+	}));
+};
+
+// Boxes stacked and centered; the baseline is that of `boxes[base]`.
+// Missing boxes are skipped.
+var vstack = function(boxes, base) {
+	var w = 0, top = 0, i;
+	for (i = 0; i < base; i++) {
+		if (boxes[i]) { top -= boxes[i].lines.length; }
+	}
+	top -= boxes[base].base;
+	boxes = boxes.filter(function(box) { return box; });
+	boxes.forEach(function(box) { w = Math.max(w, box.width); });
+	return compose(boxes.map(function(box) {
+		var p = { box: box, top: top, left: Math.floor((w - box.width) / 2) };
+		top += box.lines.length;
+		return p;
+	}));
+};
+
+// A delimiter stretched to `height` lines.
+var TALL = {
+	'(': ['/', '|', '\\'], ')': ['\\', '|', '/'],
+	'{': ['/', '|', '\\', '<'], '}': ['\\', '|', '/', '>']
+};
+var tallDelimiter = function(ch, height, base) {
+	var lines = [], shape = TALL[ch], i;
+	for (i = 0; i < height; i++) {
+		lines.push(!shape ? ch : (i === 0) ? shape[0] :
+				   (i === height - 1) ? shape[2] :
+				   (shape[3] && i === Math.floor((height - 1) / 2)) ? shape[3] :
+				   shape[1]);
+	}
+	return { lines: lines, base: base, width: 1 };
+};
+
+var delimit = function(open, body, close) {
+	var h = body.lines.length, boxes = [];
+	if (open) { boxes.push(tallDelimiter(open, h, body.base)); }
+	boxes.push(body);
+	if (close) { boxes.push(tallDelimiter(close, h, body.base)); }
+	return hbox(boxes);
+};
+
+var fraction = function(num, den) {
+	var rule = '-'.repeat(Math.max(num.width, den.width) + 2);
+	return vstack([num, textBox(rule), den], 1);
+};
+
+var radical = function(body, index) {
+	var h = body.lines.length, lines = [], i;
+	var pad = Math.max(0, width(index) + 1 - (h + 1));
+	lines.push(index + ' '.repeat(pad + h + 1 - width(index)) +
+			   '_'.repeat(body.width));
+	for (i = 0; i < h; i++) {
+		var prefix = ' '.repeat(h - i) + '/' + ' '.repeat(i);
+		if (i === h - 1) { prefix = '\\' + prefix.slice(1); }
+		lines.push(' '.repeat(pad) + prefix + body.lines[i]);
+	}
+	return {
+		lines: lines,
+		base: body.base + 1,
+		width: pad + h + 1 + body.width
+	};
+};
+
+// Large operators, drawn with their limits above and below.
+var LARGE = {
+	'∑': ['___', '\\  ', '/__'],
+	'∏': ['___', '| |', '| |'],
+	'∐': ['| |', '| |', '---'],
+	'∫': ['  /', '  |', '/  ']
+};
+
+// A table of boxes.  `aligns` gives the alignment ('l', 'r' or 'c') of
+// each column, repeating as necessary, and `gap(c)` the space before
+// column `c`.
+var grid = function(rows, aligns, gap) {
+	var widths = [], left = [0], above = [], below = [], parts = [];
+	var tall = false, top = 0, r, c;
+	rows.forEach(function(row, i) {
+		above[i] = below[i] = 0;
+		row.forEach(function(box, j) {
+			widths[j] = Math.max(widths[j] || 0, box.width);
+			above[i] = Math.max(above[i], box.base);
+			below[i] = Math.max(below[i], box.lines.length - box.base - 1);
+			tall = tall || box.lines.length > 1;
+		});
+	});
+	for (c = 0; c < widths.length; c++) {
+		left[c + 1] = left[c] + widths[c] +
+			((c + 1 < widths.length) ? gap(c + 1) : 0);
+	}
+	for (r = 0; r < rows.length; r++) {
+		rows[r].forEach(function(box, j) {
+			var how = aligns[j % aligns.length], extra = widths[j] - box.width;
+			parts.push({
+				box: box,
+				top: top + above[r] - box.base,
+				left: left[j] + ((how === 'r') ? extra :
+								 (how === 'c') ? Math.floor(extra / 2) : 0)
+			});
+		});
+		top += above[r] + below[r] + 1 + (tall ? 1 : 0);
+	}
+	if (!parts.length) { return textBox(''); }
+	// center the table on the baseline
+	var middle = Math.floor((top - (tall ? 2 : 1)) / 2);
+	parts.forEach(function(p) { p.top -= middle; });
+	return compose(parts);
+};
+var matrixGap = function() { return 2; };
+
+var layout, layoutList;
+
+var layoutScript = function(a, compact) {
+	var base = a.base ? layout(a.base, compact) : textBox('');
+	if (a.primes) { base = hbox([base, textBox(a.primes)]); }
+	var sub = a.sub && renderList(a.sub, true).trim();
+	var sup = a.sup && renderList(a.sup, true).trim();
+	if (classOf(a.base) === 'op') {
+		return vstack([
+			sup ? layoutList(a.sup, true) : null,
+			base,
+			sub ? layoutList(a.sub, true) : null
+		], 1);
+	}
+	if (base.lines.length === 1 &&
+		(!sub || subscript(sub) !== null) &&
+		(!sup || superscript(sup) !== null)) {
+		return hbox([base, textBox(
+			(sub ? subscript(sub) : '') + (sup ? superscript(sup) : '')
+		)]);
+	}
+	// raise and lower the scripts
+	var h = base.lines.length;
+	var parts = [{ box: base, top: -base.base, left: 0 }];
+	if (sup) {
+		var supBox = layoutList(a.sup, true);
+		var bottom = (h === 1) ? -1 : -base.base;
+		parts.push({
+			box: supBox,
+			top: bottom - supBox.lines.length + 1,
+			left: base.width
+		});
+	}
+	if (sub) {
+		parts.push({
+			box: layoutList(a.sub, true),
+			top: (h === 1) ? 1 : (h - 1 - base.base),
+			left: base.width
+		});
+	}
+	return compose(parts);
+};
+
+// Accents over (or under) more than a single character are drawn as a
+// line of their own.
+var ACCENT_LINES = {
+	hat: '^', widehat: '^', tilde: '~', widetilde: '~', bar: '_',
+	overline: '_', underline: '-', overbrace: '-', underbrace: '-'
+};
+
+layout = function(a, compact) {
+	var body, d;
+	switch (a.type) {
+	case 'group':
+		return layoutList(a.body, compact);
+	case 'frac':
+		return fraction(layoutList(a.num, compact), layoutList(a.den, compact));
+	case 'binom':
+		return delimit('(', grid([
+			[layoutList(a.top, compact)], [layoutList(a.bottom, compact)]
+		], 'c', matrixGap), ')');
+	case 'sqrt':
+		return radical(
+			layoutList(a.body, compact),
+			a.index ? renderList(a.index, true).trim() : ''
+		);
+	case 'delim':
+		return delimit(a.open, layoutList(a.body, compact), a.close);
+	case 'accent':
+		body = layoutList(a.body, compact);
+		if (a.mark && body.lines.length === 1 && body.width === 1) {
+			return textBox(render(a, compact));
+		}
+		if (a.wide === '▭') {
+			var edge = textBox('+' + '-'.repeat(body.width + 2) + '+');
+			var side = tallDelimiter('|', body.lines.length, body.base);
+			return vstack([
+				edge, hbox([side, textBox(' '), body, textBox(' '), side]), edge
+			], 1);
+		}
+		var rule = textBox((ACCENT_LINES[a.name] || '-').repeat(body.width));
+		if (a.name === 'vec' || a.name === 'overrightarrow') {
+			rule = textBox('-'.repeat(Math.max(0, body.width - 1)) + '>');
+		} else if (a.name === 'overleftarrow') {
+			rule = textBox('<' + '-'.repeat(Math.max(0, body.width - 1)));
+		}
+		return /^under/.test(a.name) ? vstack([body, rule], 0) :
+			vstack([rule, body], 1);
+	case 'overunder':
+		return vstack([
+			a.over && layoutList(a.over, compact), layoutList(a.base, compact),
+			a.under && layoutList(a.under, compact)
+		], 1);
+	case 'matrix':
+		d = MATRICES[a.env] || ['', ''];
+		body = grid(a.rows.map(function(row) {
+			return row.map(function(cell) {
+				return layoutList(cell, compact);
+			});
+		}), /cases$/.test(a.env) ? 'l' : 'c', matrixGap);
+		return delimit(d[0], body, d[1]);
+	case 'script':
+		return layoutScript(a, compact);
+	case 'atom':
+		if (LARGE[a.text]) {
+			return { lines: LARGE[a.text], base: 1, width: 3 };
+		}
+		return textBox(a.text);
+	default:
+		return textBox(render(a, compact));
+	}
+};
+
+// Groups don't matter for layout; spread them out, so that the spacing
+// inside them is seen.
+var flatten = function(list) {
+	return [].concat.apply([], list.map(function(a) {
+		return (a.type === 'group') ? flatten(a.body) : [a];
+	}));
+};
+
+layoutList = function(list, compact) {
+	var boxes = [], prev = null, gap = false;
+	flatten(list).forEach(function(a) {
+		var cls = classOf(a);
+		if (cls === 'space') {
+			gap = true;
+			return;
+		}
+		if (cls === 'bin' && (prev === null || UNARY_AFTER[prev])) {
+			cls = 'unary';
+		}
+		var box = layout(a, compact);
+		if (!box.width) { return; }
+		if (prev !== null && needSpace(prev, cls, compact)) { gap = true; }
+		if (gap && boxes.length) { boxes.push(textBox(' ')); }
+		boxes.push(box);
+		prev = cls;
+		gap = false;
+	});
+	return boxes.length ? hbox(boxes) : textBox('');
+};
+
+/** Parse TeX math.  Returns an object whose `lines` property holds the
+ * lines of the expression (more than one if it is made up of an
+ * alignment environment, named by `env`, or is broken with `\\`), each
+ * a list of cells.  `display` is set when the expression should be set
+ * on its own. */
+exports.parse = function(tex) {
+	var parser = new Parser(tex), rows = parser.parseRows(), env = null;
+	var only = (rows.length === 1 && rows[0].length === 1) &&
+		rows[0][0].filter(function(a) { return classOf(a) !== 'space'; });
+	if (only && only.length === 1 && only[0].type === 'matrix' &&
+		LINES.test(only[0].env)) {
+		env = only[0].env;
+		rows = only[0].rows;
+	}
+	return { env: env, display: !!env || rows.length > 1, lines: rows };
+};
+
+/** Render parsed math in the linear format; lines are separated by
+ * newlines. */
+exports.linear = function(math) {
+	return math.lines.map(function(cells) {
+		if (math.env !== 'array') {
+			// only arrays keep their columns apart
+			cells = [[].concat.apply([], cells)];
+		}
+		return cells.map(function(cell) {
+			return renderList(cell, false).trim();
+		}).join('  ').replace(/\s+$/, '');
+	}).join('\n');
+};
+
+/** Lay out parsed (display) math in two dimensions, as an array of
+ * lines no wider than `maxWidth`; returns null if it won't fit. */
+exports.layout = function(math, maxWidth) {
+	var env = math.env || '', aligns = 'l', gap = matrixGap, combine = true;
+	if (/^(align|aligned|alignat|alignedat|flalign|split|xalignat)$/.test(env)) {
+		// pairs of columns, aligned on the relation between them
+		aligns = 'rl';
+		gap = function(c) { return (c % 2) ? 1 : 2; };
+		combine = false;
+	} else if (env === 'eqnarray') {
+		aligns = 'rcl';
+		gap = function() { return 1; };
+		combine = false;
+	} else if (env === 'array') {
+		combine = false;
+	} else if (/^(gather|gathered|multline)$/.test(env)) {
+		aligns = 'c';
+	}
+	var box = grid(math.lines.map(function(cells) {
+		if (combine) { cells = [[].concat.apply([], cells)]; }
+		return cells.map(function(cell) { return layoutList(cell, false); });
+	}), aligns, gap);
+	if (box.width > maxWidth) { return null; }
+	return box.lines.map(function(line) { return line.replace(/\s+$/, ''); });
+};
+
+/** Return `text` in Unicode subscript (or superscript) characters, or
+ * null if some character has no such form. */
+exports.subscript = subscript;
+exports.superscript = superscript;
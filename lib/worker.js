@@ -0,0 +1,22 @@
+/** A worker process for a Pool (see pool.js): it renders the articles it
+ * is sent, one at a time, and sends back the results. */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var texter = require('./index');
+
+// Send `msg` back, unless the pool has been closed meanwhile.
+var reply = function(msg) {
+	if (process.connected) { process.send(msg); }
+};
+
+process.on('message', function(msg) {
+	Promise.resolve().then(function() {
+		return texter.renderArticle.apply(null, msg.args);
+	}).then(function(result) {
+		reply({ result: result });
+	}, function(err) {
+		reply({ error: err.message, stack: err.stack });
+	}).done();
+});
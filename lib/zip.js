@@ -0,0 +1,309 @@
+/** A small reader for zip archives (zip64 included), so that bundles can
+ * be read without an external `unzip` program.  Only the "stored" and
+ * "deflate" compression methods are supported, which is all that zip
+ * tools produce by default. */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var fs = require('fs');
+var stream = require('stream');
+var zlib = require('zlib');
+
+var P = require('./p');
+
+// node 0.8 compatibility
+if (!stream.Transform) {
+	stream = require('readable-stream');
+}
+
+// Record signatures.
+var SIG = {
+	local: 0x04034b50,
+	central: 0x02014b50,
+	end: 0x06054b50,
+	zip64Locator: 0x07064b50,
+	zip64End: 0x06064b50
+};
+var END_SIZE = 22, MAX_COMMENT = 0xFFFF;
+var ZIP64_LOCATOR_SIZE = 20, ZIP64_END_SIZE = 56;
+var STORED = 0, DEFLATED = 8;
+
+// Table for the CRC-32 of the entries.
+var CRC_TABLE = (function() {
+	/* jshint bitwise: false */
+	var table = [];
+	for (var n = 0; n < 256; n++) {
+		var c = n;
+		for (var k = 0; k < 8; k++) {
+			c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+		}
+		table[n] = c >>> 0;
+	}
+	return table;
+})();
+var crc32 = function(crc, buf) {
+	/* jshint bitwise: false */
+	crc = ~crc;
+	for (var i = 0; i < buf.length; i++) {
+		crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+	}
+	return ~crc >>> 0;
+};
+
+// Unsigned 64-bit little-endian integer (exact up to 2^53).
+var readUInt64 = function(buf, offset) {
+	return buf.readUInt32LE(offset) +
+		buf.readUInt32LE(offset + 4) * 0x100000000;
+};
+
+// A stream with nothing in it.
+var emptyStream = function() {
+	var s = new stream.PassThrough();
+	s.end();
+	return s;
+};
+
+var ZipFile = module.exports = function(filename, fd, size) {
+	this.filename = filename;
+	this.fd = fd;
+	this.size = size;
+	this.entries = new Map(); // name -> entry
+};
+
+// Return an error about a damaged archive.
+ZipFile.prototype._corrupt = function(why) {
+	return new Error('Corrupt zip file ' + this.filename + ': ' + why);
+};
+
+// Return a promise for the `length` bytes at `position` in the archive.
+ZipFile.prototype._read = function(position, length) {
+	if (position < 0 || position + length > this.size) {
+		return Promise.reject(this._corrupt('truncated'));
+	}
+	var buf = new Buffer(length);
+	return P.call(fs.read, fs, this.fd, buf, 0, length, position).
+		then(function() { return buf; });
+};
+
+/** Open the zip archive `filename`, and read its directory.  Returns a
+ * promise for the ZipFile. */
+ZipFile.open = function(filename) {
+	var fd;
+	return P.call(fs.open, fs, filename, 'r').then(function(_fd) {
+		fd = _fd;
+		return P.call(fs.fstat, fs, fd);
+	}).then(function(stat) {
+		var zip = new ZipFile(filename, fd, stat.size);
+		return zip._readDirectory().then(function() { return zip; });
+	}).catch(function(e) {
+		if (fd !== undefined) { fs.close(fd, function() {}); }
+		throw e;
+	});
+};
+
+/** Close the archive. */
+ZipFile.prototype.close = function() {
+	return P.call(fs.close, fs, this.fd);
+};
+
+// Find the end of central directory record (which is followed by a
+// comment of up to 64k), and read the central directory.
+ZipFile.prototype._readDirectory = function() {
+	var tail = Math.min(this.size, END_SIZE + MAX_COMMENT);
+	var tailStart = this.size - tail;
+	if (this.size < END_SIZE) {
+		return Promise.reject(new Error('Not a zip file: ' + this.filename));
+	}
+	return this._read(tailStart, tail).then(function(buf) {
+		var i = buf.length - END_SIZE;
+		while (i >= 0 && buf.readUInt32LE(i) !== SIG.end) { i--; }
+		if (i < 0) {
+			throw new Error('Not a zip file: ' + this.filename);
+		}
+		var dir = {
+			count: buf.readUInt16LE(i + 10),
+			size: buf.readUInt32LE(i + 12),
+			offset: buf.readUInt32LE(i + 16)
+		};
+		if (dir.count !== 0xFFFF && dir.size !== 0xFFFFFFFF &&
+			dir.offset !== 0xFFFFFFFF) {
+			return dir;
+		}
+		return this._readZip64End(tailStart + i);
+	}.bind(this)).then(function(dir) {
+		return this._read(dir.offset, dir.size).then(function(buf) {
+			this._parseDirectory(buf, dir.count);
+		}.bind(this));
+	}.bind(this));
+};
+
+// In a zip64 archive, the sizes and offsets in the end of central
+// directory record may be placeholders; the real values are in a
+// zip64 end record, found through the locator just before.
+ZipFile.prototype._readZip64End = function(endPosition) {
+	var locatorPosition = endPosition - ZIP64_LOCATOR_SIZE;
+	return this._read(locatorPosition, ZIP64_LOCATOR_SIZE).then(function(buf) {
+		if (buf.readUInt32LE(0) !== SIG.zip64Locator) {
+			throw this._corrupt('missing zip64 end of directory locator');
+		}
+		return this._read(readUInt64(buf, 8), ZIP64_END_SIZE);
+	}.bind(this)).then(function(buf) {
+		if (buf.readUInt32LE(0) !== SIG.zip64End) {
+			throw this._corrupt('missing zip64 end of directory record');
+		}
+		return {
+			count: readUInt64(buf, 32),
+			size: readUInt64(buf, 40),
+			offset: readUInt64(buf, 48)
+		};
+	}.bind(this));
+};
+
+// Parse the `count` entries of the central directory in `buf`.
+ZipFile.prototype._parseDirectory = function(buf, count) {
+	var pos = 0;
+	for (var n = 0; n < count; n++) {
+		if (pos + 46 > buf.length || buf.readUInt32LE(pos) !== SIG.central) {
+			throw this._corrupt('bad central directory');
+		}
+		var nameLength = buf.readUInt16LE(pos + 28);
+		var extraLength = buf.readUInt16LE(pos + 30);
+		var commentLength = buf.readUInt16LE(pos + 32);
+		var entry = {
+			name: buf.toString('utf8', pos + 46, pos + 46 + nameLength),
+			flags: buf.readUInt16LE(pos + 8),
+			method: buf.readUInt16LE(pos + 10),
+			crc: buf.readUInt32LE(pos + 16),
+			compressedSize: buf.readUInt32LE(pos + 20),
+			size: buf.readUInt32LE(pos + 24),
+			offset: buf.readUInt32LE(pos + 42)
+		};
+		this._readZip64Extra(
+			entry, buf.slice(pos + 46 + nameLength,
+							 pos + 46 + nameLength + extraLength)
+		);
+		this.entries.set(entry.name, entry);
+		pos += 46 + nameLength + extraLength + commentLength;
+	}
+};
+
+// Sizes and offsets which don't fit in 32 bits are given in the zip64
+// "extra field" of the entry, in this order (but only those which
+// don't fit).
+ZipFile.prototype._readZip64Extra = function(entry, extra) {
+	var pos = 0;
+	while (pos + 4 <= extra.length) {
+		var id = extra.readUInt16LE(pos), size = extra.readUInt16LE(pos + 2);
+		if (id === 0x0001) {
+			var field = pos + 4;
+			['size', 'compressedSize', 'offset'].forEach(function(key) {
+				if (entry[key] === 0xFFFFFFFF && field + 8 <= pos + 4 + size) {
+					entry[key] = readUInt64(extra, field);
+					field += 8;
+				}
+			});
+			return;
+		}
+		pos += 4 + size;
+	}
+};
+
+/** Does the archive have an entry named `name`? */
+ZipFile.prototype.has = function(name) {
+	return this.entries.has(name);
+};
+
+// Call `consume` with a stream of the (uncompressed) contents of the
+// entry `name`, which checks the size and CRC as it goes, and return a
+// promise for its result.  The stream is handed over as soon as it is
+// made, so that a small entry can't end (or fail) before anything is
+// listening.
+ZipFile.prototype._stream = function(name, consume) {
+	var entry = this.entries.get(name);
+	if (!entry) {
+		return Promise.reject(new Error(
+			'No ' + name + ' in zip file ' + this.filename
+		));
+	}
+	/* jshint bitwise: false */
+	if (entry.flags & 1) {
+		return Promise.reject(new Error(
+			'Encrypted entry ' + name + ' in zip file ' + this.filename
+		));
+	}
+	if (entry.method !== STORED && entry.method !== DEFLATED) {
+		return Promise.reject(new Error(
+			'Unsupported compression method (' + entry.method + ') for ' +
+			name + ' in zip file ' + this.filename
+		));
+	}
+	return this._read(entry.offset, 30).then(function(buf) {
+		if (buf.readUInt32LE(0) !== SIG.local) {
+			throw this._corrupt('bad local header for ' + name);
+		}
+		var start = entry.offset + 30 +
+			buf.readUInt16LE(26) + buf.readUInt16LE(28);
+		if (start + entry.compressedSize > this.size) {
+			throw this._corrupt('truncated');
+		}
+		var zip = this, crc = 0, size = 0;
+		var check = new stream.Transform();
+		check._transform = function(chunk, encoding, callback) {
+			crc = crc32(crc, chunk);
+			size += chunk.length;
+			callback(null, chunk);
+		};
+		check._flush = function(callback) {
+			callback((crc !== entry.crc || size !== entry.size) ?
+					 zip._corrupt('bad CRC or size for ' + name) : null);
+		};
+		var input = entry.compressedSize ? fs.createReadStream(null, {
+			fd: this.fd,
+			autoClose: false,
+			start: start,
+			end: start + entry.compressedSize - 1
+		}) : emptyStream();
+		// pipe() doesn't pass on errors, so report them on the stream we
+		// hand over
+		input.on('error', function(e) {
+			check.emit('error', e);
+		});
+		if (entry.method === DEFLATED) {
+			var inflate = zlib.createInflateRaw();
+			inflate.on('error', function(e) {
+				check.emit('error', zip._corrupt(name + ': ' + e.message));
+			});
+			input = input.pipe(inflate);
+		}
+		return consume(input.pipe(check));
+	}.bind(this));
+};
+
+/** Return a promise for the contents of the entry `name`, as a Buffer. */
+ZipFile.prototype.read = function(name) {
+	return this._stream(name, function(s) {
+		return new Promise(function(resolve, reject) {
+			var chunks = [];
+			s.on('data', function(chunk) { chunks.push(chunk); }).
+				on('end', function() { resolve(Buffer.concat(chunks)); }).
+				on('error', reject);
+		});
+	});
+};
+
+/** Extract the entry `name` to the file `filename`.  Returns a promise
+ * which is resolved when the file has been written. */
+ZipFile.prototype.extract = function(name, filename) {
+	return this._stream(name, function(s) {
+		return new Promise(function(resolve, reject) {
+			var out = fs.createWriteStream(filename);
+			s.on('error', function(err) {
+				out.destroy();
+				reject(err);
+			});
+			out.on('error', reject).on('finish', resolve);
+			s.pipe(out);
+		});
+	});
+};
@@ -0,0 +1,150 @@
+/* global describe, it, before, after */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var assert = require('assert');
+var execFile = require('child_process').execFile;
+var fs = require('fs');
+var path = require('path');
+var tmp = require('tmp');
+
+var batch = require('../lib/batch');
+var P = require('../lib/p');
+
+var SAMPLE = path.join(__dirname, '..', 'samples', 'tao.zip');
+var CLI = path.join(__dirname, '..', 'bin', 'mw-ocg-texter');
+
+describe("Batch conversion", function() {
+	// the scratch directory holds a zip file, a bundle directory, a
+	// directory which isn't a bundle, and a file which isn't a zip file
+	var dir;
+	before(function() {
+		return P.call(tmp.dir, tmp, { prefix: 'batch-test-' }).then(function(d) {
+			dir = d;
+			fs.writeFileSync(path.join(dir, 'a.zip'), fs.readFileSync(SAMPLE));
+			fs.mkdirSync(path.join(dir, 'b'));
+			fs.writeFileSync(path.join(dir, 'b', 'metabook.json'), '{}');
+			fs.mkdirSync(path.join(dir, 'other'));
+			fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a bundle');
+			fs.writeFileSync(path.join(dir, 'bad.zip'), 'not a zip file');
+		});
+	});
+	after(function() {
+		return Promise.map(['b', 'other', 'out'], function(sub) {
+			return P.removeDir(path.join(dir, sub)).catch(function() {});
+		}).then(function() {
+			return P.removeDir(dir);
+		});
+	});
+	// Run the command line tool with `args`, and return a promise for
+	// its exit code and output.
+	var run = function(args) {
+		return new Promise(function(resolve) {
+			execFile(process.execPath, [CLI].concat(args), function(err, out, errs) {
+				resolve({ code: err ? err.code : 0, stdout: out, stderr: errs });
+			});
+		});
+	};
+
+	it('should find the bundles in a directory', function() {
+		return batch.findBundles([dir]).then(function(bundles) {
+			assert.deepEqual(bundles, ['a.zip', 'b', 'bad.zip'].map(function(f) {
+				return path.join(dir, f);
+			}));
+		});
+	});
+	it('should take a bundle directory, a glob, or a missing path', function() {
+		return batch.findBundles([
+			path.join(dir, 'b'),
+			path.join(dir, '[ab].zip'),
+			path.join(dir, 'missing.zip')
+		]).then(function(bundles) {
+			assert.deepEqual(bundles, [
+				path.join(dir, 'b'),
+				path.join(dir, 'a.zip'),
+				path.join(dir, 'missing.zip')
+			]);
+		});
+	});
+	it('should reject a glob which matches nothing', function() {
+		return batch.findBundles([path.join(dir, 'none*.zip')]).then(function() {
+			throw new Error('found bundles which aren\'t there');
+		}, function(err) {
+			assert.ok(/^No bundles match/.test(err.message), err.message);
+		});
+	});
+	it('should name the output files', function() {
+		assert.equal(batch.outputName('{name}.{ext}', 'x/us.zip', 'markdown'),
+					 'us.md');
+		assert.equal(batch.outputName('{name}-{format}.{ext}', 'x/us/', 'json'),
+					 'us-json.json');
+		assert.throws(function() {
+			batch.outputName('{title}.txt', 'us.zip', 'text');
+		}, /^Error: Unknown field in output name: \{title\}$/);
+	});
+	it('should run the jobs a few at a time, in order', function() {
+		var running = 0, most = 0, done = [];
+		return batch.run([1, 2, 3, 4].map(function(n) {
+			return { bundle: n + '.zip', output: n + '.txt' };
+		}), 2, function(job) {
+			most = Math.max(most, ++running);
+			return Promise.delay(10).then(function() {
+				running--;
+				if (job.bundle === '3.zip') { throw new Error('Bad bundle'); }
+			});
+		}, function(result) {
+			done.push(result.bundle);
+		}).then(function(results) {
+			assert.equal(most, 2);
+			assert.equal(done.length, 4);
+			assert.deepEqual(results.map(function(r) { return r.bundle; }),
+							 ['1.zip', '2.zip', '3.zip', '4.zip']);
+			assert.deepEqual(results.map(function(r) {
+				return r.error ? r.error.message : null;
+			}), [null, null, 'Bad bundle', null]);
+		});
+	});
+	it('should summarize the results', function() {
+		assert.equal(batch.summary([
+			{ bundle: 'a.zip', output: 'out/a.txt', time: 1.2 },
+			{ bundle: 'long/b.zip', output: 'out/b.txt', time: 0.5,
+			  error: new Error('Bad bundle') }
+		], 2), [
+			'Bundle      Result  Time  Output',
+			'a.zip       ok      1.2s  out/a.txt',
+			'long/b.zip  FAILED  0.5s  Bad bundle',
+			'1 converted, 1 failed, in 2.0s',
+			''
+		].join('\n'));
+	});
+	it('should exit with 0, 1 or 2 as all, none or some succeed', function() {
+		this.timeout(0);
+		var out = path.join(dir, 'out');
+		return run(['--output-dir', out, path.join(dir, 'a.zip')])
+			.then(function(result) {
+				assert.equal(result.code, 0, result.stderr);
+				assert.ok(fs.existsSync(path.join(out, 'a.txt')));
+				return run(['--output-dir', out, path.join(dir, 'bad.zip')]);
+			}).then(function(result) {
+				assert.equal(result.code, 1);
+				return run(['--output-dir', out, path.join(dir, 'a.zip'),
+							path.join(dir, 'bad.zip')]);
+			}).then(function(result) {
+				assert.equal(result.code, 2);
+				assert.ok(/1 converted, 1 failed/.test(result.stdout),
+						  result.stdout);
+			});
+	});
+	it('should refuse to write two bundles to one file', function() {
+		this.timeout(0);
+		return run([
+			'--output-dir', path.join(dir, 'out'), '--output-name', 'same.txt',
+			path.join(dir, 'a.zip'), path.join(dir, 'bad.zip')
+		]).then(function(result) {
+			assert.equal(result.code, 1);
+			assert.ok(/^Both .* would be written to /.test(result.stderr),
+					  result.stderr);
+		});
+	});
+});
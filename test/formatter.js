@@ -0,0 +1,423 @@
+/* global describe, it */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var assert = require('assert');
+
+var texter = require('../');
+
+// Convert `html` with the `options`, and return a promise for the lines.
+var lines = function(html, options) {
+	return texter.convertHtml(html, options).then(function(text) {
+		return text.split('\n');
+	});
+};
+
+describe("Plain text layout", function() {
+	it('should line up list items with a wide tab stop', function() {
+		return texter.convertHtml(
+			'<ul><li>one two three four five six seven</li></ul>' +
+			'<ol><li>one two three four five six seven</li></ol>',
+			{ tabWidth: 4, columns: 30 }
+		).then(function(text) {
+			assert.equal(text, [
+				'  * one two three four five',
+				'    six seven',
+				' 1. one two three four five',
+				'    six seven',
+				'',
+				''
+			].join('\n'));
+		});
+	});
+	it('should reject a zero width', function() {
+		return Promise.map([
+			{ columns: 0 }, { tabWidth: 0 }, { minWidth: 0 }
+		], function(options) {
+			return texter.convertHtml('<p>text</p>', options).then(function() {
+				throw new Error('Accepted ' + JSON.stringify(options));
+			}, function(err) {
+				assert.ok(/^Invalid/.test(err.message), err.message);
+			});
+		});
+	});
+	it('should keep light markup on the following text', function() {
+		return texter.convertHtml('<p><i>italic</i>text and more</p>', {
+			lightMarkup: '/',
+			columns: 10,
+			minWidth: 5
+		}).then(function(text) {
+			assert.equal(text, '/italic/text\nand more\n\n');
+		});
+	});
+	it('should underline a heading in a list item', function() {
+		return texter.convertHtml(
+			'<ol><li>Some text<h3>A heading in an item which wraps</h3></li></ol>',
+			{ headingStyle: 'underline', columns: 30 }
+		).then(function(text) {
+			assert.equal(text, [
+				'1. Some text',
+				'',
+				'   A heading in an item which',
+				'   wraps',
+				'   ~~~~~~~~~~~~~~~~~~~~~~~~~~',
+				'',
+				''
+			].join('\n'));
+		});
+	});
+	it('should underline a heading which starts a list item', function() {
+		return texter.convertHtml(
+			'<ol><li><h3>Head</h3>text</li></ol>',
+			{ headingStyle: 'underline' }
+		).then(function(text) {
+			assert.equal(text, '1. Head\n   ~~~~\n\n   text\n\n');
+		});
+	});
+});
+
+describe("Preformatted text", function() {
+	var code = '<pre>if (x)\n\treturn "a rather long string";</pre>';
+	it('should expand tabs', function() {
+		return lines(code, { columns: 80 }).then(function(result) {
+			assert.deepEqual(result, [
+				'if (x)',
+				'        return "a rather long string";',
+				'', ''
+			]);
+		});
+	});
+	it('should mark code with a fence or gutter', function() {
+		return Promise.join(
+			lines(code, { codeStyle: 'fence' }),
+			lines(code, { codeStyle: 'gutter' })
+		).then(function(results) {
+			assert.deepEqual(results[0], [
+				'```',
+				'if (x)',
+				'        return "a rather long string";',
+				'```',
+				'', ''
+			]);
+			assert.deepEqual(results[1], [
+				'| if (x)',
+				'|         return "a rather long string";',
+				'', ''
+			]);
+		});
+	});
+	it('should cut or fold long lines', function() {
+		return Promise.join(
+			lines(code, { columns: 25, longLines: 'cut' }),
+			lines(code, { columns: 25, longLines: 'fold' })
+		).then(function(results) {
+			assert.deepEqual(results[0], [
+				'if (x)',
+				'        return "a rather\u2026',
+				'', ''
+			]);
+			assert.deepEqual(results[1], [
+				'if (x)',
+				'        return "a rather',
+				'long string";',
+				'', ''
+			]);
+		});
+	});
+	it('should start a list item with code on the tag\'s line', function() {
+		return lines(
+			'<ul><li>' + code + '</li></ul><ol start="9"><li><pre>x</pre></li>' +
+			'<li><pre>y</pre></li></ol>',
+			{ columns: 25, longLines: 'fold', codeStyle: 'gutter' }
+		).then(function(result) {
+			assert.deepEqual(result, [
+				'* | if (x)',
+				'  |         return "a rat',
+				'  | her long string";',
+				'',
+				' 9. | x',
+				'',
+				'10. | y',
+				'', ''
+			]);
+		});
+	});
+});
+
+describe("List numbering", function() {
+	// Convert `html` at 30 columns, and return a promise for the lines.
+	var numbered = function(html) {
+		return lines(html, { columns: 30 });
+	};
+	it('should start from the start attribute, lining up the tags', function() {
+		return numbered(
+			'<ol start="9"><li>nine</li><li>ten which wraps onto another line</li></ol>'
+		).then(function(result) {
+			assert.deepEqual(result, [
+				' 9. nine',
+				'10. ten which wraps onto',
+				'    another line',
+				'', ''
+			]);
+		});
+	});
+	it('should count down a reversed list', function() {
+		return Promise.join(
+			numbered('<ol reversed><li>c</li><li>b</li><li>a</li></ol>'),
+			numbered('<ol reversed start="11"><li>x</li><li>y</li></ol>')
+		).then(function(results) {
+			assert.deepEqual(results[0], ['3. c', '2. b', '1. a', '', '']);
+			assert.deepEqual(results[1], ['11. x', '10. y', '', '']);
+		});
+	});
+	it('should number with roman numerals or letters', function() {
+		return Promise.join(
+			numbered('<ol type="i" start="3"><li>iii</li><li>iv</li></ol>'),
+			numbered('<ol type="A"><li>A</li><li value="26">Z</li><li>AA</li></ol>')
+		).then(function(results) {
+			assert.deepEqual(results[0], ['iii. iii', ' iv. iv', '', '']);
+			assert.deepEqual(results[1], [' A. A', ' Z. Z', 'AA. AA', '', '']);
+		});
+	});
+	it('should go on counting from an item\'s value', function() {
+		return numbered(
+			'<ol><li>one</li><li value="7">seven</li><li>eight</li></ol>'
+		).then(function(result) {
+			assert.deepEqual(result, ['1. one', '7. seven', '8. eight', '', '']);
+		});
+	});
+});
+
+describe("Bidirectional text", function() {
+	it('should isolate text in another direction', function() {
+		return Promise.join(
+			lines('<p>abc <span lang="he">שלום</span> def</p>', {}),
+			lines('<p>abc <span lang="he">שלום</span> def</p>', { bidi: 'embed' }),
+			lines('<p>abc <span lang="he">שלום</span> def</p>', { bidi: 'none' })
+		).then(function(results) {
+			assert.deepEqual(results[0], ['abc \u2067שלום\u2069 def', '', '']);
+			assert.deepEqual(results[1], ['abc \u202Bשלום\u202C def', '', '']);
+			assert.deepEqual(results[2], ['abc שלום def', '', '']);
+		});
+	});
+	it('should start each line of a right-to-left paragraph with a mark', function() {
+		return Promise.join(
+			lines('<p lang="he">שלום עולם</p>', {}),
+			lines('<p lang="he">שלום עולם</p>', { bidi: 'none' })
+		).then(function(results) {
+			assert.deepEqual(results[0], ['\u200Fשלום עולם', '', '']);
+			assert.deepEqual(results[1], ['שלום עולם', '', '']);
+		});
+	});
+	it('should close and reopen an isolate which is wrapped', function() {
+		return Promise.join(
+			lines('<p>one <span lang="he">אחת שתיים שלוש ארבע</span> two</p>',
+				  { columns: 20 }),
+			lines('<p lang="he">שלום <span lang="en">one two three four ' +
+				  'five</span> עולם</p>', { columns: 20, bidi: 'embed' })
+		).then(function(results) {
+			assert.deepEqual(results[0], [
+				'one \u2067אחת שתיים שלוש\u2069',
+				'\u2067ארבע\u2069 two',
+				'', ''
+			]);
+			assert.deepEqual(results[1], [
+				'\u200Fשלום \u202Aone two three\u202C',
+				'\u200F\u202Afour five\u202C עולם',
+				'', ''
+			]);
+		});
+	});
+});
+
+describe("Table of contents", function() {
+	it('should list the numbered headings in the order of the body', function() {
+		return lines(
+			'<h2>Alpha</h2><p>a</p><h3>Beta</h3><p>b</p><h3>Gamma</h3>' +
+			'<h2>Delta</h2><p>d</p>',
+			{ toc: true, numberHeadings: true }
+		).then(function(result) {
+			var blank = result.indexOf('', 2);
+			var toc = result.slice(2, blank);
+			assert.deepEqual(result.slice(0, 2), ['Contents', '']);
+			assert.deepEqual(toc, [
+				'1 Alpha',
+				'  1.1 Beta',
+				'  1.2 Gamma',
+				'2 Delta'
+			]);
+			// the body has the same headings, with the same numbers
+			var headings = result.slice(blank).filter(function(line) {
+				return /^\d/.test(line);
+			});
+			assert.deepEqual(headings, toc.map(function(line) {
+				return line.trim();
+			}));
+		});
+	});
+});
+
+describe("Alignment", function() {
+	var text = 'The quick brown fox jumps over the lazy dog and runs far away.';
+	it('should justify all but the last line of a paragraph', function() {
+		return lines('<p>' + text + '</p>', { columns: 30, justify: true })
+			.then(function(result) {
+				assert.deepEqual(result, [
+					'The quick brown fox jumps over',
+					'the  lazy  dog  and  runs  far',
+					'away.',
+					'', ''
+				]);
+				result.slice(0, 2).forEach(function(line) {
+					assert.equal(line.length, 30);
+				});
+			});
+	});
+	it('should justify list items after their tags', function() {
+		return lines(
+			'<ul><li>' + text + '</li></ul><ol start="9"><li>a</li>' +
+			'<li>The quick brown fox jumps over the lazy dog.</li></ol>',
+			{ columns: 30, justify: true }
+		).then(function(result) {
+			assert.deepEqual(result, [
+				'* The  quick  brown  fox jumps',
+				'  over  the  lazy dog and runs',
+				'  far away.',
+				' 9. a',
+				'10. The  quick brown fox jumps',
+				'    over the lazy dog.',
+				'', ''
+			]);
+			[0, 1, 4].forEach(function(i) {
+				assert.equal(result[i].length, 30);
+			});
+		});
+	});
+	it('should center each line', function() {
+		return lines(
+			'<center>The quick brown fox jumps over the lazy dog.</center>',
+			{ columns: 30 }
+		).then(function(result) {
+			assert.deepEqual(result, [
+				'The quick brown fox jumps over',
+				'        the lazy dog.',
+				'', ''
+			]);
+		});
+	});
+});
+
+describe("Links", function() {
+	var html = '<base href="https://en.wikipedia.org/wiki/">' +
+		'<p>See <a href="./Dog" rel="mw:WikiLink">dogs</a>, ' +
+		'<a href="https://example.org/cats" rel="mw:ExtLink">cats</a> ' +
+		'and <a href="./Dog">the dog</a>.</p>';
+	it('should leave links out by default', function() {
+		return lines(html, {}).then(function(result) {
+			assert.deepEqual(result, ['See dogs, cats and the dog.', '', '']);
+		});
+	});
+	it('should number all the links, and list them', function() {
+		return lines(html, { links: 'all' }).then(function(result) {
+			assert.deepEqual(result, [
+				'See dogs[1], cats[2] and the dog[1].',
+				'',
+				'Links',
+				'',
+				'[1] https://en.wikipedia.org/wiki/Dog',
+				'[2] https://example.org/cats',
+				'', ''
+			]);
+		});
+	});
+	it('should number just the external links', function() {
+		return lines(html, { links: 'external' }).then(function(result) {
+			assert.deepEqual(result, [
+				'See dogs, cats[1] and the dog.',
+				'',
+				'Links',
+				'',
+				'[1] https://example.org/cats',
+				'', ''
+			]);
+		});
+	});
+});
+
+describe("Images", function() {
+	var html = '<p>Before.</p><figure typeof="mw:Image/Thumb">' +
+		'<a href="./File:Big_dog.jpg"><img resource="./File:Big_dog.jpg"></a>' +
+		'<figcaption>A <i>big</i> dog.</figcaption></figure>' +
+		'<p>A <span typeof="mw:Image"><a href="./File:Icon.png">' +
+		'<img alt="small icon"></a></span> inline.</p>';
+	it('should leave images out by default', function() {
+		return lines(html, {}).then(function(result) {
+			assert.deepEqual(result, ['Before.', '', 'A inline.', '', '']);
+		});
+	});
+	it('should write placeholders and captions', function() {
+		return lines(html, { images: true }).then(function(result) {
+			assert.deepEqual(result, [
+				'Before.',
+				'',
+				'[Image: Big dog.jpg]',
+				'  A big dog.',
+				'',
+				'A [Image: small icon] inline.',
+				'', ''
+			]);
+		});
+	});
+	it('should list the captions of a gallery', function() {
+		return lines(
+			'<ul typeof="mw:Extension/gallery" class="gallery">' +
+			'<li class="gallerycaption">Dogs</li><li class="gallerybox">' +
+			'<span typeof="mw:Image"><img resource="./File:A_dog.jpg"></span>' +
+			'<div class="gallerytext">One dog</div></li><li class="gallerybox">' +
+			'<span typeof="mw:Image"><img alt="two dogs"></span>' +
+			'<div class="gallerytext">Two</div></li></ul>',
+			{ images: true }
+		).then(function(result) {
+			assert.deepEqual(result, [
+				'Dogs',
+				'',
+				'* [Image: A dog.jpg] One dog',
+				'* [Image: two dogs] Two',
+				'', ''
+			]);
+		});
+	});
+});
+
+describe("Infoboxes", function() {
+	var html = '<p>Intro.</p><table class="infobox"><caption>Paris</caption>' +
+		'<tr><td colspan="2"><figure typeof="mw:Image"><img src="//x/p.jpg">' +
+		'</figure></td></tr><tr><th>Country</th><td>France</td></tr>' +
+		'<tr><th>Rivers</th><td><ul><li>Seine</li><li>Bièvre</li></ul></td></tr>' +
+		'<tr class="navbar"><td colspan="2">v t e</td></tr>' +
+		'<tr><td colspan="2"><div class="navbar">view edit</div></td></tr>' +
+		'</table><p>Paris is a city.</p>';
+	var box = ['Paris', '  Country: France', '  Rivers: Seine, Bièvre', ''];
+	it('should leave infoboxes out by default', function() {
+		return lines(html, {}).then(function(result) {
+			assert.deepEqual(result, [
+				'Intro.', '', 'Paris is a city.', '', ''
+			]);
+		});
+	});
+	it('should write an infobox where it is, without images or navbars', function() {
+		return lines(html, { infobox: 'inline' }).then(function(result) {
+			assert.deepEqual(result, ['Intro.', ''].concat(box, [
+				'Paris is a city.', '', ''
+			]));
+		});
+	});
+	it('should move an infobox to the top', function() {
+		return lines(html, { infobox: 'top' }).then(function(result) {
+			assert.deepEqual(result, box.concat([
+				'Intro.', '', 'Paris is a city.', '', ''
+			]));
+		});
+	});
+});
@@ -0,0 +1,50 @@
+/* global describe, it */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var assert = require('assert');
+
+var LineBreak = require('../lib/linebreak');
+
+describe("Line breaking", function() {
+	it('should measure East Asian wide characters', function() {
+		assert.equal(LineBreak.width('abc'), 3);
+		assert.equal(LineBreak.width('日本語'), 6);
+		assert.equal(LineBreak.width('한국'), 4);
+		// halfwidth katakana, and characters which take no room
+		assert.equal(LineBreak.width('ｱｲｳ'), 3);
+		assert.equal(LineBreak.width('é'), 1);
+		assert.equal(LineBreak.width('\u2060'), 0);
+	});
+	it('should break between CJK characters', function() {
+		assert.deepEqual(LineBreak.segments('日本語。テスト').map(function(s) {
+			return s.text;
+		}), ['日', '本', '語。', 'テ', 'ス', 'ト']);
+		// closing punctuation doesn't start a line
+		assert.deepEqual(
+			LineBreak.wrap('日本語のテキストを折り返します。これは例です。', 10),
+			['日本語のテ', 'キストを折', 'り返しま', 'す。これは', '例です。']
+		);
+	});
+	it('should break after a slash', function() {
+		assert.deepEqual(LineBreak.wrap('a/b/c', 3), ['a/', 'b/c']);
+		assert.deepEqual(
+			LineBreak.wrap('see http://example.com/a/b/c/d for more', 20),
+			['see http://', 'example.com/a/b/c/d', 'for more']
+		);
+	});
+	it('should not break at a word joiner or no-break space', function() {
+		assert.deepEqual(LineBreak.wrap('path/\u2060name and more', 6),
+						 ['path/name', 'and', 'more']);
+		assert.deepEqual(LineBreak.wrap('one\u00A0two three', 8),
+						 ['one\u00A0two', 'three']);
+	});
+	it('should hyphenate at a soft hyphen', function() {
+		assert.deepEqual(LineBreak.wrap('Kopf\u00ADbedeckung ist', 8),
+						 ['Kopf-', 'bedeckung', 'ist']);
+	});
+	it('should split words which are too long, if asked to', function() {
+		assert.deepEqual(LineBreak.fold('日本語abc', 4), ['日本', '語ab', 'c']);
+	});
+});
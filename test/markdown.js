@@ -0,0 +1,85 @@
+/* global describe, it */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var assert = require('assert');
+
+var texter = require('../');
+
+var convert = function(html) {
+	return texter.convertHtml(html, { format: 'markdown', columns: 30 });
+};
+
+describe("Markdown", function() {
+	it('should not break lines inside a link target', function() {
+		return convert(
+			'<p>See <a rel="mw:ExtLink" href="http://example.com/a/long/path">' +
+			'the documentation</a>.</p>'
+		).then(function(text) {
+			assert.equal(text, 'See [the\n' +
+						 'documentation](http://example.com/a/long/path).\n\n');
+		});
+	});
+	it('should write links in headings and tables', function() {
+		var link = '<a rel="mw:ExtLink" href="http://x.org/">x</a>';
+		return convert(
+			'<h2>About ' + link + '</h2>' +
+			'<table><tr><th>A</th></tr><tr><td>' + link + '</td></tr></table>'
+		).then(function(text) {
+			assert.equal(text, '### About [x](http://x.org/)\n\n' +
+						 '| A |\n| --- |\n| [x](http://x.org/) |\n\n');
+		});
+	});
+	it('should mark code and struck out text', function() {
+		return texter.convertHtml(
+			'<p><code>a*b</code>, <code>x `y`</code> and <s>gone</s></p>',
+			{ format: 'markdown' }
+		).then(function(text) {
+			assert.equal(text, '`a*b`, `` x `y` `` and ~~gone~~\n\n');
+		});
+	});
+	it('should separate different kinds of list', function() {
+		return convert(
+			'<ul><li>one</li><li>two</li></ul><ol start="3"><li>three</li></ol>'
+		).then(function(text) {
+			assert.equal(text, '* one\n* two\n\n3. three\n\n');
+		});
+	});
+	it('should separate footnotes from a definition', function() {
+		return convert(
+			'<dl><dt>Term</dt><dd>Def</dd></dl>' +
+			'<ol typeof="mw:Extension/references"><li>Ref text</li></ol>'
+		).then(function(text) {
+			assert.equal(text, 'Term\n: Def\n\n[^1]: Ref text\n\n');
+		});
+	});
+	it('should not hyphenate', function() {
+		return texter.convertHtml(
+			'<p lang="de">Die Kopfbedeckung Kopfbedeckung</p>',
+			{ format: 'markdown', columns: 27, hyphenate: true }
+		).then(function(text) {
+			assert.equal(text, 'Die Kopfbedeckung\nKopfbedeckung\n\n');
+		});
+	});
+	it('should wrap block quotes within the columns', function() {
+		return texter.convertHtml(
+			'<blockquote><p>one two three four five six seven eight nine ' +
+			'ten</p><ul><li>eleven twelve thirteen fourteen fifteen</li></ul>' +
+			'</blockquote>',
+			{ format: 'markdown', columns: 24 }
+		).then(function(text) {
+			assert.equal(text, [
+				'> one two three four',
+				'> five six seven eight',
+				'> nine ten',
+				'>',
+				'> * eleven twelve',
+				'>   thirteen fourteen',
+				'>   fifteen',
+				'',
+				''
+			].join('\n'));
+		});
+	});
+});
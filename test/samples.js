@@ -1,4 +1,4 @@
-/* global describe, it */
+/* global describe, it, before, after */
 "use strict";
 require('es6-shim');
 require('prfun');
@@ -6,29 +6,259 @@ require('prfun');
 var assert = require('assert');
 var fs = require('fs');
 var path = require('path');
+var tmp = require('tmp');
 
 var texter = require('../');
+var P = require('../lib/p');
 
 // ensure that we don't crash on any of our sample inputs
 describe("Basic crash test", function() {
 	['tao.zip', 'us.zip', 'std_dev.zip'].forEach(function(bundle) {
 		describe(bundle, function() {
-			it('should compile to plaintext', function() {
-				this.timeout(0);
-				var filename = path.join(__dirname, '..', 'samples', bundle);
-				return texter.convert({
-					bundle: filename,
-					output: filename + '.txt',
-					log: function() { /* suppress logging */ }
-				}).then(function(_) {
-					// should resolve with no value
-					assert.equal(_, undefined);
-				}).finally(function() {
-					try {
-						fs.unlinkSync(filename + '.txt');
-					} catch (e) { }
+			texter.formats.forEach(function(format) {
+				it('should compile to ' + format, function() {
+					this.timeout(0);
+					var filename = path.join(__dirname, '..', 'samples', bundle);
+					return texter.convert({
+						bundle: filename,
+						output: filename + '.txt',
+						format: format,
+						log: function() { /* suppress logging */ }
+					}).then(function(_) {
+						// should resolve with no value
+						assert.equal(_, undefined);
+					}).finally(function() {
+						try {
+							fs.unlinkSync(filename + '.txt');
+						} catch (e) { }
+					});
 				});
 			});
 		});
 	});
 });
+
+describe("Single document", function() {
+	var html = '<body lang="en"><p>Hello <b>world</b>.</p>' +
+		'<h2>Section</h2><ul><li>one</li></ul></body>';
+	texter.formats.forEach(function(format) {
+		it('should convert to ' + format, function() {
+			return texter.convertHtml(html, {
+				title: 'Example',
+				format: format
+			}).then(function(text) {
+				assert.ok(/Example/.test(text));
+				assert.ok(/Hello/.test(text));
+				assert.ok(/one/.test(text));
+			});
+		});
+	});
+	it('should write to a stream', function() {
+		var out = [];
+		var stream = {
+			write: function(chunk, encoding, callback) {
+				out.push(chunk);
+				if (callback) { callback(); }
+			}
+		};
+		return texter.convertHtml(html, { stream: stream }).then(function(_) {
+			assert.equal(_, undefined);
+			assert.equal(out.join(''), 'Hello world.\n\nSection\n\n* one\n\n');
+		});
+	});
+});
+
+describe("Cache", function() {
+	var bundle = path.join(__dirname, '..', 'samples', 'std_dev.zip');
+	var dir, out, cache;
+	before(function() {
+		return P.call(tmp.dir, tmp, { prefix: 'cache-test-' }).then(function(d) {
+			dir = d;
+			out = path.join(dir, 'a', 'b');
+			cache = path.join(out, 'cache.db');
+			return P.makeDir(out);
+		});
+	});
+	after(function() {
+		return P.removeDir(out).then(function() {
+			return P.removeDir(path.join(dir, 'a'));
+		}).then(function() {
+			return P.removeDir(dir);
+		});
+	});
+	// Convert the bundle to `name` in the output directory, and return a
+	// promise for the text.
+	var convert = function(name, options) {
+		var output = path.join(out, name);
+		return texter.convert(Object.assign({
+			bundle: bundle,
+			output: output,
+			log: function() { /* suppress logging */ }
+		}, options)).then(function() {
+			return fs.readFileSync(output, 'utf8');
+		});
+	};
+	it('should be shared by conversions at once', function() {
+		this.timeout(0);
+		return convert('plain.txt', {}).then(function(plain) {
+			return Promise.all([
+				convert('one.txt', { cache: cache }),
+				convert('two.txt', { cache: cache, pruneCache: 30 })
+			]).then(function(texts) {
+				assert.equal(texts[0], plain);
+				assert.equal(texts[1], plain);
+				return convert('three.txt', { cache: cache });
+			}).then(function(text) {
+				assert.equal(text, plain);
+			});
+		});
+	});
+});
+
+describe("Worker processes", function() {
+	var Pool = require('../lib/pool');
+	var bundle = path.join(__dirname, '..', 'samples', 'tao.zip');
+	// Convert the bundle with the `options`, and return a promise for the
+	// text.
+	var convert = function(options) {
+		var output = bundle + '.workers.txt';
+		return texter.convert(Object.assign({
+			bundle: bundle,
+			output: output,
+			toc: true,
+			log: function() { /* suppress logging */ }
+		}, options)).then(function() {
+			return fs.readFileSync(output, 'utf8');
+		}).finally(function() {
+			try {
+				fs.unlinkSync(output);
+			} catch (e) { }
+		});
+	};
+	it('should render the same text', function() {
+		this.timeout(0);
+		return convert({}).then(function(plain) {
+			return convert({ workers: 2 }).then(function(text) {
+				assert.equal(text, plain);
+			});
+		});
+	});
+	it('should pass on errors', function() {
+		this.timeout(0);
+		var pool = new Pool(1);
+		return pool.render([ 'output', '<p>x</p>', {}, {}, {}, null ])
+			.then(function() {
+				throw new Error('rendered without options');
+			}, function(err) {
+				assert.ok(/null/.test(err.message), err.message);
+			}).finally(function() {
+				return pool.close();
+			});
+	});
+});
+
+describe("HTTP service", function() {
+	var Server = require('../lib/server');
+	var http = require('http');
+	var server, port;
+	// Make a request, and return a promise for the status and body.  A
+	// Buffer `body` is uploaded as a zip file (`chunked`, if asked to, so
+	// that the server doesn't know its length in advance).
+	var request = function(method, path, body, chunked) {
+		var upload = Buffer.isBuffer(body);
+		return new Promise(function(resolve, reject) {
+			var req = http.request({
+				host: '127.0.0.1',
+				port: port,
+				method: method,
+				path: path,
+				headers: !body ? {} : {
+					'Content-Type': upload ? 'application/zip' : 'application/json'
+				}
+			}, function(res) {
+				var chunks = [];
+				res.on('data', function(c) { chunks.push(c); });
+				res.on('end', function() {
+					resolve({
+						status: res.statusCode,
+						body: Buffer.concat(chunks).toString('utf8')
+					});
+				});
+			});
+			req.on('error', reject);
+			if (upload && chunked) { req.write(body); body = null; }
+			req.end(!body ? undefined : upload ? body : JSON.stringify(body));
+		});
+	};
+	// Return a promise for the status of job `id`, once it has finished.
+	var poll = function(id) {
+		return request('GET', '/jobs/' + id).then(function(res) {
+			var job = JSON.parse(res.body);
+			if (job.state === 'queued' || job.state === 'running') {
+				return Promise.delay(50).then(function() { return poll(id); });
+			}
+			return job;
+		});
+	};
+	before(function() {
+		server = new Server({ jobs: 1, maxUpload: 1024 });
+		return server.listen(0).then(function(address) {
+			port = address.port;
+		});
+	});
+	after(function() {
+		return server.close();
+	});
+	it('should convert a bundle', function() {
+		this.timeout(0);
+		var bundle = path.join(__dirname, '..', 'samples', 'tao.zip');
+		return request('POST', '/jobs', {
+			bundle: bundle,
+			options: { format: 'markdown' }
+		}).then(function(res) {
+			assert.equal(res.status, 202);
+			return poll(JSON.parse(res.body).id);
+		}).then(function(job) {
+			assert.equal(job.state, 'done');
+			assert.equal(job.percent, 100);
+			return request('GET', job.output);
+		}).then(function(res) {
+			assert.equal(res.status, 200);
+			assert.ok(/^# /.test(res.body));
+		});
+	});
+	it('should reject unknown jobs and options', function() {
+		return request('GET', '/jobs/none').then(function(res) {
+			assert.equal(res.status, 404);
+			return request('POST', '/jobs', { bundle: 'x', options: { x: 1 } });
+		}).then(function(res) {
+			assert.equal(res.status, 400);
+		});
+	});
+	it('should report a job which fails', function() {
+		var bundle = path.join(__dirname, 'no-such-bundle.zip');
+		return request('POST', '/jobs', { bundle: bundle }).then(function(res) {
+			assert.equal(res.status, 202);
+			return poll(JSON.parse(res.body).id);
+		}).then(function(job) {
+			assert.equal(job.state, 'failed');
+			assert.ok(/ENOENT/.test(job.error), job.error);
+			assert.notEqual(job.message, 'Queued');
+		});
+	});
+	it('should refuse uploads which are too large', function() {
+		var data = new Buffer(4096);
+		data.fill(0);
+		return Promise.map([false, true], function(chunked) {
+			return request('POST', '/jobs', data, chunked).then(function(res) {
+				assert.equal(res.status, 413);
+				assert.ok(/too large/.test(JSON.parse(res.body).error), res.body);
+			});
+		}).then(function() {
+			return request('GET', '/jobs');
+		}).then(function(res) {
+			var jobs = JSON.parse(res.body).jobs;
+			assert.ok(jobs.every(function(job) { return job.bundle !== 'upload'; }));
+		});
+	});
+});
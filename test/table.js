@@ -0,0 +1,96 @@
+/* global describe, it */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var assert = require('assert');
+
+var texter = require('../');
+var Table = require('../lib/table');
+
+// A table with a header row, and a long cell in its last row.
+var makeTable = function(options) {
+	var table = new Table(options);
+	table.addCell('Name', { header: true });
+	table.addCell('Value', { header: true });
+	table.addRow();
+	table.addCell('alpha');
+	table.addCell('1');
+	table.addRow();
+	table.addCell('beta gamma delta');
+	table.addCell('22');
+	return table;
+};
+
+describe("Tables", function() {
+	it('should draw a grid', function() {
+		assert.deepEqual(makeTable().render(80), [
+			'+------------------+-------+',
+			'|       Name       | Value |',
+			'+==================+=======+',
+			'| alpha            |     1 |',
+			'+------------------+-------+',
+			'| beta gamma delta |    22 |',
+			'+------------------+-------+'
+		]);
+	});
+	it('should draw spanning cells with box characters', function() {
+		var table = new Table({ style: 'unicode' });
+		table.addCell('A', { colspan: 2 });
+		table.addRow();
+		table.addCell('b');
+		table.addCell('c');
+		assert.deepEqual(table.render(80), [
+			'┌───────┐',
+			'│ A     │',
+			'├───┬───┤',
+			'│ b │ c │',
+			'└───┴───┘'
+		]);
+	});
+	it('should narrow the widest columns to fit', function() {
+		assert.deepEqual(makeTable().render(20), [
+			'+----------+-------+',
+			'|   Name   | Value |',
+			'+==========+=======+',
+			'| alpha    |     1 |',
+			'+----------+-------+',
+			'| beta     |    22 |',
+			'| gamma    |       |',
+			'| delta    |       |',
+			'+----------+-------+'
+		]);
+	});
+	it('should give up on a table which can\'t fit', function() {
+		assert.strictEqual(makeTable().render(10), null);
+	});
+	it('should linearize a table', function() {
+		assert.deepEqual(makeTable().linearize(), [
+			[ { label: 'Name', text: 'alpha' }, { label: 'Value', text: '1' } ],
+			[
+				{ label: 'Name', text: 'beta gamma delta' },
+				{ label: 'Value', text: '22' }
+			]
+		]);
+	});
+	it('should list the rows of a table which can\'t fit', function() {
+		var html = '<table><tr><th>Name</th><th>Description</th></tr>' +
+			'<tr><td>Alpha</td><td>A helium nucleus emitted in ' +
+			'radioactive decay</td></tr><tr><td>Beta</td>' +
+			'<td>Electroluminescence-spectrometry</td></tr></table>';
+		return texter.convertHtml(html, { columns: 30 }).then(function(text) {
+			assert.equal(text, [
+				'* Name: Alpha',
+				'  Description: A helium',
+				'  nucleus emitted in',
+				'  radioactive decay',
+				'* Name: Beta',
+				'  Description:',
+				'  Electroluminescence-',
+				'  spectrometry',
+				'',
+				''
+			].join('\n'));
+		});
+	});
+});
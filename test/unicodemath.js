@@ -0,0 +1,102 @@
+/* global describe, it */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var assert = require('assert');
+
+var texter = require('../');
+var UnicodeMath = require('../lib/unicodemath');
+
+var linear = function(tex) {
+	return UnicodeMath.linear(UnicodeMath.parse(tex));
+};
+var layout = function(tex, maxWidth) {
+	return UnicodeMath.layout(UnicodeMath.parse(tex), maxWidth || 80);
+};
+
+// A display math element, as Parsoid marks it up.
+var displayMath = function(tex) {
+	return '<dl><dd><span typeof="mw:Extension/math" data-mw=\'' +
+		JSON.stringify({ body: { extsrc: tex } }) + '\'></span></dd></dl>';
+};
+
+describe("Linear math", function() {
+	it('should write fractions', function() {
+		assert.equal(linear('\\frac{1}{2}'), '1/2');
+		assert.equal(linear('\\frac{a+b}{c}'), '(a + b)/c');
+	});
+	it('should write subscripts and superscripts', function() {
+		assert.equal(linear('x^2'), 'x²');
+		assert.equal(linear('x^{n+1}'), 'xⁿ⁺¹');
+		assert.equal(linear('x_i'), 'x_i');
+		assert.equal(linear('a_{ij}'), 'a_(ij)');
+		assert.equal(linear('x^{\\alpha}'), 'x^α');
+	});
+	it('should write roots', function() {
+		assert.equal(linear('\\sqrt{x}'), '√x');
+		assert.equal(linear('\\sqrt[3]{x+1}'), '∛(x + 1)');
+	});
+	it('should write a formula', function() {
+		assert.equal(
+			linear('\\sigma = \\sqrt{\\frac{1}{N}\\sum_{i=1}^N (x_i - \\mu)^2}'),
+			'σ = √(1/N ∑_(i=1)^N (x_i - μ)²)'
+		);
+	});
+});
+
+describe("2D math", function() {
+	it('should lay out fractions', function() {
+		assert.deepEqual(layout('\\frac{1}{2}'), [' 1', '---', ' 2']);
+		assert.deepEqual(layout('\\frac{a+b}{c}'), [' a + b', '-------', '   c']);
+	});
+	it('should lay out subscripts and superscripts', function() {
+		assert.deepEqual(layout('x^2'), ['x²']);
+		assert.deepEqual(layout('a_{ij}'), ['a', ' ij']);
+		assert.deepEqual(layout('x^{\\alpha}'), [' α', 'x']);
+	});
+	it('should lay out roots', function() {
+		assert.deepEqual(layout('\\sqrt{x}'), ['  _', '\\/x']);
+		assert.deepEqual(layout('\\sqrt[3]{x+1}'), ['3 _____', '\\/x + 1']);
+	});
+	it('should lay out a formula', function() {
+		var tex = '\\sigma = \\sqrt{\\frac{1}{N}\\sum_{i=1}^N (x_i - \\mu)^2}';
+		assert.deepEqual(layout(tex), [
+			'          _________________',
+			'         /     N',
+			'        /  1  ___',
+			'σ =    /  --- \\   (x  - μ)²',
+			'      /    N  /__   i',
+			'    \\/        i=1'
+		]);
+		assert.strictEqual(layout(tex, 10), null);
+	});
+	it('should fall back to linear math when it is too wide', function() {
+		var tex = '\\frac{a+b+c+d+e+f+g+h+i+j+k+l+m+n+o+p+q+r+s+t+u+v+w+x+y+z}{2}';
+		return texter.convertHtml(displayMath(tex), {
+			mathLayout: '2d',
+			columns: 40
+		}).then(function(text) {
+			assert.equal(text,
+						 '(a + b + c + d + e + f + g + h + i + j +\n' +
+						 'k + l + m + n + o + p + q + r + s + t +\n' +
+						 'u + v + w + x + y + z)/2\n\n');
+		});
+	});
+	it('should lay out display math which fits', function() {
+		return texter.convertHtml(displayMath('\\frac{a+b}{c}'), {
+			mathLayout: '2d'
+		}).then(function(text) {
+			assert.equal(text, ' a + b\n-------\n   c\n\n');
+		});
+	});
+	it('should reject an unknown layout', function() {
+		return texter.convertHtml(displayMath('x'), {
+			mathLayout: '3d'
+		}).then(function() {
+			throw new Error('Accepted an unknown layout');
+		}, function(err) {
+			assert.equal(err.message, 'Unknown math layout: 3d');
+		});
+	});
+});
@@ -0,0 +1,220 @@
+/* global describe, it, before, after */
+"use strict";
+require('es6-shim');
+require('prfun');
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var tmp = require('tmp');
+var zlib = require('zlib');
+
+var P = require('../lib/p');
+var ZipFile = require('../lib/zip');
+
+// The CRC-32 of `buf`, as zip files record it.
+var crc32 = function(buf) {
+	/* jshint bitwise: false */
+	var crc = ~0;
+	for (var i = 0; i < buf.length; i++) {
+		crc ^= buf[i];
+		for (var k = 0; k < 8; k++) {
+			crc = (crc & 1) ? (0xEDB88320 ^ (crc >>> 1)) : (crc >>> 1);
+		}
+	}
+	return ~crc >>> 0;
+};
+
+// Return a promise for a zip archive (as a Buffer) holding `files`, a
+// list of { name, text, deflate } entries.
+var makeZip = function(files) {
+	return Promise.map(files, function(file) {
+		var data = new Buffer(file.text, 'utf8');
+		return (file.deflate ? P.call(zlib.deflateRaw, zlib, data) :
+				Promise.resolve(data)).then(function(stored) {
+			return {
+				name: new Buffer(file.name, 'utf8'),
+				method: file.deflate ? 8 : 0,
+				crc: crc32(data),
+				size: data.length,
+				stored: stored
+			};
+		});
+	}).then(function(entries) {
+		var local = [], central = [], offset = 0;
+		entries.forEach(function(e) {
+			var header = new Buffer(30);
+			header.fill(0);
+			header.writeUInt32LE(0x04034b50, 0);
+			header.writeUInt16LE(20, 4);
+			header.writeUInt16LE(e.method, 8);
+			header.writeUInt32LE(e.crc, 14);
+			header.writeUInt32LE(e.stored.length, 18);
+			header.writeUInt32LE(e.size, 22);
+			header.writeUInt16LE(e.name.length, 26);
+			local.push(header, e.name, e.stored);
+			var dir = new Buffer(46);
+			dir.fill(0);
+			dir.writeUInt32LE(0x02014b50, 0);
+			dir.writeUInt16LE(20, 4);
+			dir.writeUInt16LE(20, 6);
+			dir.writeUInt16LE(e.method, 10);
+			dir.writeUInt32LE(e.crc, 16);
+			dir.writeUInt32LE(e.stored.length, 20);
+			dir.writeUInt32LE(e.size, 24);
+			dir.writeUInt16LE(e.name.length, 28);
+			dir.writeUInt32LE(offset, 42);
+			central.push(dir, e.name);
+			offset += header.length + e.name.length + e.stored.length;
+		});
+		var dirSize = Buffer.concat(central).length;
+		var end = new Buffer(22);
+		end.fill(0);
+		end.writeUInt32LE(0x06054b50, 0);
+		end.writeUInt16LE(entries.length, 8);
+		end.writeUInt16LE(entries.length, 10);
+		end.writeUInt32LE(dirSize, 12);
+		end.writeUInt32LE(offset, 16);
+		return Buffer.concat(local.concat(central, [end]));
+	});
+};
+
+describe("Zip files", function() {
+	var dir, archive;
+	var files = [
+		{ name: 'metabook.json', text: '{"type":"collection"}' },
+		{ name: 'html/1.html', text: '<p>' + 'Hello, world. '.repeat(50) +
+		  '</p>', deflate: true },
+		{ name: 'empty.txt', text: '' }
+	];
+	// Write `buf` to the file `name` in the scratch directory.
+	var write = function(name, buf) {
+		var filename = path.join(dir, name);
+		return P.call(fs.writeFile, fs, filename, buf).then(function() {
+			return filename;
+		});
+	};
+	before(function() {
+		return P.call(tmp.dir, tmp, { prefix: 'zip-test-' }).then(function(d) {
+			dir = d;
+			return makeZip(files);
+		}).then(function(buf) {
+			archive = buf;
+		});
+	});
+	after(function() {
+		return P.removeDir(dir);
+	});
+
+	it('should list the entries', function() {
+		return write('list.zip', archive).then(ZipFile.open).then(function(zip) {
+			var names = [];
+			zip.entries.forEach(function(entry, name) { names.push(name); });
+			assert.deepEqual(names, ['metabook.json', 'html/1.html', 'empty.txt']);
+			assert.ok(zip.has('html/1.html'));
+			assert.ok(!zip.has('html/2.html'));
+			return zip.close();
+		});
+	});
+	it('should read stored and deflated entries', function() {
+		return write('read.zip', archive).then(ZipFile.open).then(function(zip) {
+			return Promise.map(files, function(file) {
+				return zip.read(file.name).then(function(buf) {
+					assert.equal(buf.toString('utf8'), file.text);
+				});
+			}).then(function() {
+				return zip.extract('html/1.html', path.join(dir, '1.html'));
+			}).then(function() {
+				assert.equal(fs.readFileSync(path.join(dir, '1.html'), 'utf8'),
+							 files[1].text);
+			}).finally(function() {
+				return zip.close();
+			});
+		});
+	});
+	it('should reject a missing entry', function() {
+		return write('missing.zip', archive).then(ZipFile.open).then(function(zip) {
+			return zip.read('nothing').then(function() {
+				throw new Error('read a missing entry');
+			}, function(err) {
+				assert.ok(/^No nothing in zip file/.test(err.message), err.message);
+			}).finally(function() {
+				return zip.close();
+			});
+		});
+	});
+	it('should reject a file which isn\'t a zip', function() {
+		return write('not.zip', new Buffer('not a zip file, just some text'))
+			.then(ZipFile.open).then(function() {
+				throw new Error('opened a file which isn\'t a zip');
+			}, function(err) {
+				assert.ok(/^Not a zip file/.test(err.message), err.message);
+			});
+	});
+	it('should reject a truncated archive', function() {
+		// keep the directory, but cut the entries short
+		var end = archive.slice(archive.length - 22);
+		var dirSize = end.readUInt32LE(12), dirOffset = end.readUInt32LE(16);
+		var truncated = Buffer.concat([
+			archive.slice(0, 40),
+			archive.slice(dirOffset, dirOffset + dirSize),
+			end
+		]);
+		return write('truncated.zip', truncated).then(ZipFile.open).then(function() {
+			throw new Error('opened a truncated archive');
+		}, function(err) {
+			assert.ok(/^Corrupt zip file .*: (truncated|bad central directory)/
+					  .test(err.message), err.message);
+		});
+	});
+	it('should reject a damaged entry', function() {
+		var damaged = new Buffer(archive.length);
+		archive.copy(damaged);
+		// change the first byte of metabook.json
+		var first = 30 + 'metabook.json'.length;
+		damaged[first] = 0xFF - damaged[first];
+		return write('damaged.zip', damaged).then(ZipFile.open).then(function(zip) {
+			return zip.read('metabook.json').then(function() {
+				throw new Error('read a damaged entry');
+			}, function(err) {
+				assert.ok(/^Corrupt zip file .*: bad CRC/.test(err.message),
+						  err.message);
+			}).finally(function() {
+				return zip.close();
+			});
+		});
+	});
+	it('should reject an entry which can\'t be read', function() {
+		return write('unreadable.zip', archive).then(ZipFile.open).then(function(zip) {
+			// close the file once the entry's header has been read
+			var read = zip._read;
+			zip._read = function() {
+				return read.apply(this, arguments).then(function(buf) {
+					fs.closeSync(zip.fd);
+					return buf;
+				});
+			};
+			return zip.read('html/1.html').then(function() {
+				throw new Error('read from a closed file');
+			}, function(err) {
+				assert.equal(err.code, 'EBADF');
+			});
+		});
+	});
+	it('should reject a damaged entry when extracting it', function() {
+		var damaged = new Buffer(archive.length);
+		archive.copy(damaged);
+		var first = 30 + 'metabook.json'.length;
+		damaged[first] = 0xFF - damaged[first];
+		return write('damaged2.zip', damaged).then(ZipFile.open).then(function(zip) {
+			return zip.extract('metabook.json', path.join(dir, 'damaged.json'))
+				.then(function() {
+					throw new Error('extracted a damaged entry');
+				}, function(err) {
+					assert.ok(/bad CRC/.test(err.message), err.message);
+				}).finally(function() {
+					return zip.close();
+				});
+		});
+	});
+});